@@ -1,39 +1,17 @@
-import fs from 'fs';
-import path from 'path';
-import crypto from 'crypto';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { lockoutRepository } from '../storage/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const lockoutDir = process.env.LOCKOUT_DIR || './data/lockouts';
 export const MAX_FAILED_ATTEMPTS = 5;
 const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
 
-// Ensure lockout directory exists
-if (!fs.existsSync(lockoutDir)) {
-  fs.mkdirSync(lockoutDir, { recursive: true });
-}
-
-const getLockoutPath = (email) => {
-  // Use a hash of email for filename (basic security)
-  const hash = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
-  return path.join(lockoutDir, `${hash}.json`);
-};
-
-export const recordFailedAttempt = (email) => {
-  const lockoutPath = getLockoutPath(email);
-  let lockoutData = {
-    email: email.toLowerCase(),
-    failedAttempts: 0,
-    lockedUntil: null,
-    lastAttempt: null
-  };
-
-  if (fs.existsSync(lockoutPath)) {
-    const data = fs.readFileSync(lockoutPath, 'utf8');
-    lockoutData = JSON.parse(data);
+export const recordFailedAttempt = async (email) => {
+  let lockoutData = await lockoutRepository.findByEmail(email.toLowerCase());
+  if (!lockoutData) {
+    lockoutData = {
+      email: email.toLowerCase(),
+      failedAttempts: 0,
+      lockedUntil: null,
+      lastAttempt: null
+    };
   }
 
   lockoutData.failedAttempts += 1;
@@ -45,27 +23,21 @@ export const recordFailedAttempt = (email) => {
     console.log(`🔒 [AccountLockout] Account locked for ${email} until ${lockoutData.lockedUntil}`);
   }
 
-  fs.writeFileSync(lockoutPath, JSON.stringify(lockoutData, null, 2));
+  await lockoutRepository.save(lockoutData);
   return lockoutData;
 };
 
-export const clearFailedAttempts = (email) => {
-  const lockoutPath = getLockoutPath(email);
-  if (fs.existsSync(lockoutPath)) {
-    fs.unlinkSync(lockoutPath);
-  }
+export const clearFailedAttempts = async (email) => {
+  await lockoutRepository.delete(email.toLowerCase());
 };
 
-export const isAccountLocked = (email) => {
-  const lockoutPath = getLockoutPath(email);
-  
-  if (!fs.existsSync(lockoutPath)) {
+export const isAccountLocked = async (email) => {
+  const lockoutData = await lockoutRepository.findByEmail(email.toLowerCase());
+
+  if (!lockoutData) {
     return false;
   }
 
-  const data = fs.readFileSync(lockoutPath, 'utf8');
-  const lockoutData = JSON.parse(data);
-
   // Check if lockout has expired
   if (lockoutData.lockedUntil) {
     const lockedUntil = new Date(lockoutData.lockedUntil);
@@ -77,7 +49,7 @@ export const isAccountLocked = (email) => {
       };
     } else {
       // Lockout expired, clear it
-      clearFailedAttempts(email);
+      await clearFailedAttempts(email);
       return false;
     }
   }
@@ -89,35 +61,21 @@ export const isAccountLocked = (email) => {
 };
 
 // Cleanup expired lockouts (run periodically)
-export const cleanupExpiredLockouts = () => {
-  if (!fs.existsSync(lockoutDir)) {
-    return;
-  }
-
-  const files = fs.readdirSync(lockoutDir);
+export const cleanupExpiredLockouts = async () => {
   const now = new Date();
 
-  files.forEach(file => {
-    if (file.endsWith('.json')) {
-      const filePath = path.join(lockoutDir, file);
-      try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        const lockoutData = JSON.parse(data);
-        
-        if (lockoutData.lockedUntil) {
-          const lockedUntil = new Date(lockoutData.lockedUntil);
-          if (lockedUntil <= now) {
-            fs.unlinkSync(filePath);
-            console.log(`🧹 [AccountLockout] Cleaned up expired lockout for ${lockoutData.email}`);
-          }
-        }
-      } catch (error) {
-        console.error(`Error cleaning up lockout file ${file}:`, error);
+  try {
+    const lockouts = await lockoutRepository.findAll();
+    for (const lockoutData of lockouts) {
+      if (lockoutData.lockedUntil && new Date(lockoutData.lockedUntil) <= now) {
+        await lockoutRepository.delete(lockoutData.email);
+        console.log(`🧹 [AccountLockout] Cleaned up expired lockout for ${lockoutData.email}`);
       }
     }
-  });
+  } catch (error) {
+    console.error('Error cleaning up lockouts:', error);
+  }
 };
 
 // Run cleanup every hour
 setInterval(cleanupExpiredLockouts, 60 * 60 * 1000);
-
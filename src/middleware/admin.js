@@ -0,0 +1,21 @@
+import { isEmailVerified } from './emailVerification.js';
+
+// Admins are the accounts whose email is in ADMIN_EMAILS (comma-separated).
+// The address must be verified, so nobody becomes an admin by signing up
+// with an admin's address before they do.
+const adminEmails = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+export const isAdmin = (user) => {
+  return adminEmails.includes(user.email.toLowerCase()) && isEmailVerified(user);
+};
+
+// Must run after authenticateToken
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
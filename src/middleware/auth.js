@@ -1,7 +1,9 @@
 import jwt from 'jsonwebtoken';
 import { getUserById } from '../services/userService.js';
+import { createRefreshToken, rotateRefreshToken, isRefreshFamilyActive } from '../services/tokenService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
 if (!JWT_SECRET || JWT_SECRET.trim() === '' || JWT_SECRET === 'your-secret-key-change-in-production') {
   console.error('❌ [Auth] JWT_SECRET is not set or using default value!');
@@ -27,7 +29,15 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token - user not found' });
     }
 
+    // Reject tokens issued before a logout-everywhere or password change,
+    // and tokens whose device session has been logged out
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0) ||
+        (decoded.sid && !(await isRefreshFamilyActive(decoded.sid)))) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
     req.user = user;
+    req.auth = { familyId: decoded.sid || null };
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -40,7 +50,40 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Short-lived access token tied to the user's token version and to the
+// refresh token family (device session) it was issued for
+export const generateToken = (user, familyId) => {
+  return jwt.sign(
+    { userId: user.id, tv: user.tokenVersion || 0, sid: familyId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const buildTokenResponse = (user, familyId, refreshToken, refreshTokenExpiresAt) => {
+  const token = generateToken(user, familyId);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    expiresIn: exp - iat,
+    refreshToken,
+    refreshTokenExpiresAt
+  };
+};
+
+// Start a new device session: access token plus a new refresh token family
+export const issueTokens = async (user) => {
+  const { familyId, refreshToken, expiresAt } = await createRefreshToken(user.id, user.tokenVersion || 0);
+  return buildTokenResponse(user, familyId, refreshToken, expiresAt);
+};
+
+// Rotate a refresh token and issue a matching access token
+export const refreshTokens = async (refreshToken) => {
+  const { user, familyId, refreshToken: nextRefreshToken, expiresAt } = await rotateRefreshToken(refreshToken);
+  return {
+    user,
+    ...buildTokenResponse(user, familyId, nextRefreshToken, expiresAt)
+  };
 };
 
@@ -0,0 +1,29 @@
+// Actions unverified users may not perform. Comma-separated list from
+// UNVERIFIED_BLOCKED_ACTIONS; voice cloning is blocked by default because it
+// is a paid ElevenLabs call.
+//   voice_clone      POST /voice/clone
+//   upload_audio     POST /sessions/:id/upload
+//   process_session  POST /sessions/:id/process and /retry
+const blockedActions = (process.env.UNVERIFIED_BLOCKED_ACTIONS ?? 'voice_clone')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Accounts created before email verification existed have no flag and are
+// treated as verified
+export const isEmailVerified = (user) => {
+  return user.emailVerified !== false;
+};
+
+// Must run after authenticateToken
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (blockedActions.includes(action) && !isEmailVerified(req.user)) {
+      return res.status(403).json({
+        error: 'Please verify your email address to use this feature',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  };
+};
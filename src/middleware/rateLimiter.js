@@ -19,6 +19,33 @@ export const signupRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for password reset requests
+export const passwordResetRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 reset requests per windowMs
+  message: 'Too many password reset attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for resending verification emails
+export const verificationEmailRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each IP to 3 verification emails per hour
+  message: 'Too many verification emails requested, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for token refresh (clients refresh every few minutes)
+export const refreshRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 refreshes per windowMs
+  message: 'Too many token refresh attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter for API endpoints
 export const apiRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -1,4 +1,7 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { isTranscriptionLanguage, AUTO_DETECT_LANGUAGE } from '../services/speechToTextService.js';
+import { CAPTION_FORMATS, CAPTION_TRACKS } from '../services/captionService.js';
+import { REFRAMING_STYLE_IDS } from '../services/reframingStyles.js';
 
 // Validation error handler
 export const handleValidationErrors = (req, res, next) => {
@@ -15,6 +18,16 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password policy for any newly chosen password
+const newPasswordRule = (field) =>
+  body(field)
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .matches(/^[A-Za-z\d@$!%*?&]+$/)
+    .withMessage('Password can only contain letters, numbers, and special characters (@$!%*?&)');
+
 // Signup validation rules
 export const validateSignup = [
   body('email')
@@ -24,13 +37,7 @@ export const validateSignup = [
     .isLength({ max: 255 })
     .withMessage('Email must be less than 255 characters'),
   
-  body('password')
-    .isLength({ min: 8, max: 128 })
-    .withMessage('Password must be between 8 and 128 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
-    .matches(/^[A-Za-z\d@$!%*?&]+$/)
-    .withMessage('Password can only contain letters, numbers, and special characters (@$!%*?&)'),
+  newPasswordRule('password'),
   
   body('name')
     .optional()
@@ -59,6 +66,229 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+// A language code the transcription provider supports, or 'auto' to
+// detect it. Null clears the setting.
+const languageRule = (field) =>
+  body(field)
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage(`${field} must be a language code such as "en" or "es", or "auto"`)
+    .bail()
+    .trim()
+    .toLowerCase()
+    .custom(value => value === AUTO_DETECT_LANGUAGE || (/^[a-z]{2,3}$/.test(value) && isTranscriptionLanguage(value)))
+    .withMessage(`${field} must be a supported language code such as "en" or "es", or "auto"`);
+
+// A reframing style id. Null clears the setting.
+const styleRule = (field) =>
+  body(field)
+    .optional({ values: 'null' })
+    .isIn(REFRAMING_STYLE_IDS)
+    .withMessage(`${field} must be one of: ${REFRAMING_STYLE_IDS.join(', ')}`);
+
+// Profile update validation
+export const validateProfileUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z\s'-]+$/)
+    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes'),
+
+  body('deleteRecordingsAfterProcessing')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('deleteRecordingsAfterProcessing must be true or false')
+    .toBoolean(),
+
+  languageRule('preferredLanguage'),
+
+  styleRule('reframingStyle'),
+  
+  handleValidationErrors
+];
+
+// Change password validation
+export const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required')
+    .isLength({ max: 128 })
+    .withMessage('Password must be less than 128 characters'),
+  
+  newPasswordRule('newPassword'),
+  
+  handleValidationErrors
+];
+
+// Account deletion validation
+export const validateDeleteAccount = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account')
+    .isLength({ max: 128 })
+    .withMessage('Password must be less than 128 characters'),
+  
+  handleValidationErrors
+];
+
+// Forgot password validation
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Must be a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+// Reset password validation
+export const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Reset token is invalid'),
+  
+  newPasswordRule('password'),
+  
+  handleValidationErrors
+];
+
+// Email verification validation
+export const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .withMessage('Verification token is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Verification token is invalid'),
+
+  handleValidationErrors
+];
+
+// Refresh token validation
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Refresh token is invalid'),
+  
+  handleValidationErrors
+];
+
+// Logout validation
+export const validateLogout = [
+  body('allDevices')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allDevices must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Language of a session, when creating or processing it
+export const validateSessionLanguage = [
+  languageRule('language'),
+
+  handleValidationErrors
+];
+
+// Options when processing a session
+export const validateProcessOptions = [
+  languageRule('language'),
+
+  styleRule('style'),
+
+  handleValidationErrors
+];
+
+// Options when regenerating a session's reframes
+export const validateReframeOptions = [
+  styleRule('style'),
+
+  handleValidationErrors
+];
+
+// Caption export options
+export const validateCaptionsQuery = [
+  query('format')
+    .default('vtt')
+    .isIn(CAPTION_FORMATS)
+    .withMessage(`format must be one of: ${CAPTION_FORMATS.join(', ')}`),
+
+  query('track')
+    .default('original')
+    .isIn(CAPTION_TRACKS)
+    .withMessage(`track must be one of: ${CAPTION_TRACKS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+// A new reframing prompt template version
+export const validatePromptTemplate = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+
+  body(['system', 'user'])
+    .isString()
+    .withMessage('Prompt must be a string')
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Prompt must be between 1 and 20000 characters'),
+
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('defaults must be an object'),
+
+  body('defaults.*')
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Default values must be strings of at most 200 characters'),
+
+  handleValidationErrors
+];
+
+// Sample thought and variables to preview a prompt template with
+export const validatePromptPreview = [
+  body('transcript')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Transcript must be between 1 and 5000 characters'),
+
+  body('language')
+    .optional({ values: 'null' })
+    .isString()
+    .toLowerCase()
+    .matches(/^[a-z]{2,3}$/)
+    .withMessage('Language must be a language code such as "en"'),
+
+  styleRule('style'),
+
+  body(['name', 'tone', 'length'])
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Must be a string of at most 200 characters'),
+
+  body('generate')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('generate must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
 // Session ID validation
 export const validateSessionId = [
   body('id')
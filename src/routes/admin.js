@@ -0,0 +1,101 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/admin.js';
+import { apiRateLimiter } from '../middleware/rateLimiter.js';
+import { validatePromptTemplate, validatePromptPreview } from '../middleware/validator.js';
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  TEMPLATE_VARIABLES
+} from '../services/promptTemplateService.js';
+import { buildReframingPrompt, reframeText } from '../services/reframingService.js';
+
+const router = express.Router();
+
+// All admin routes require an admin account
+router.use(authenticateToken, requireAdmin, apiRateLimiter);
+
+// Template without its prompt text, for listings
+const summarizeTemplate = ({ system, user, ...summary }) => summary;
+
+// GET /admin/prompt-templates - List reframing prompt template versions
+router.get('/prompt-templates', async (req, res, next) => {
+  try {
+    const templates = await listTemplates();
+    res.json({ templates: templates.map(summarizeTemplate), variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/prompt-templates - Add a new version (not active until activated)
+router.post('/prompt-templates', validatePromptTemplate, async (req, res, next) => {
+  try {
+    const { description, defaults, system, user } = req.body;
+    const template = await createTemplate({ description, defaults, system, user }, req.user.email);
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// GET /admin/prompt-templates/:version - One version, with its prompts
+router.get('/prompt-templates/:version', async (req, res, next) => {
+  try {
+    const template = await getTemplate(req.params.version);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/prompt-templates/:version/preview - Render a version for a
+// sample thought, and optionally reframe it
+router.post('/prompt-templates/:version/preview', validatePromptPreview, async (req, res, next) => {
+  try {
+    const template = await getTemplate(req.params.version);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { transcript, language, name, style, tone, length, generate } = req.body;
+    const variables = { language, name, style, tone, length };
+    const prompt = buildReframingPrompt(template, transcript, variables);
+
+    if (!generate) {
+      return res.json({ version: template.version, prompt, reframe: null });
+    }
+
+    try {
+      const reframe = await reframeText(transcript, { template, ...variables });
+      res.json({ version: template.version, prompt, reframe });
+    } catch (error) {
+      res.status(502).json({ error: error.message, version: template.version, prompt });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/prompt-templates/:version/activate - Use a version for all new reframes
+router.post('/prompt-templates/:version/activate', async (req, res, next) => {
+  try {
+    const template = await activateTemplate(req.params.version, req.user.email);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(summarizeTemplate(template));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
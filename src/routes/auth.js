@@ -1,20 +1,64 @@
 import express from 'express';
-import { createUser, getUserByEmail, verifyPassword } from '../services/userService.js';
-import { generateToken, authenticateToken } from '../middleware/auth.js';
-import { authRateLimiter, signupRateLimiter } from '../middleware/rateLimiter.js';
-import { validateSignup, validateLogin } from '../middleware/validator.js';
+import { createUser, getUserByEmail, getUserById, verifyPassword, updatePassword, updateUser, toPublicUser } from '../services/userService.js';
+import { revokeRefreshFamily, revokeAllUserTokens } from '../services/tokenService.js';
+import { createAccountToken, checkAccountToken, consumeAccountToken } from '../services/accountTokenService.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/mailService.js';
+import { deleteAccount } from '../services/accountService.js';
+import {
+  requestExport,
+  getExport,
+  getExportArchiveKey,
+  getDownloadPath,
+  presentExport
+} from '../services/exportService.js';
+import { getMediaStats, createMediaReadStream } from '../services/mediaStorage.js';
+import { verifySignedPath } from '../utils/urlSigning.js';
+import { issueTokens, refreshTokens, authenticateToken } from '../middleware/auth.js';
+import {
+  authRateLimiter,
+  signupRateLimiter,
+  refreshRateLimiter,
+  passwordResetRateLimiter,
+  verificationEmailRateLimiter,
+  apiRateLimiter
+} from '../middleware/rateLimiter.js';
+import { isEmailVerified } from '../middleware/emailVerification.js';
+import {
+  validateSignup,
+  validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateProfileUpdate,
+  validateChangePassword,
+  validateDeleteAccount
+} from '../middleware/validator.js';
 import { isAccountLocked, recordFailedAttempt, clearFailedAttempts, MAX_FAILED_ATTEMPTS } from '../middleware/accountLockout.js';
 import { authTimeout } from '../middleware/requestTimeout.js';
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// Issue a verification token and email it without holding up the response
+const startEmailVerification = async (user) => {
+  const token = await createAccountToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS).catch(error => {
+    console.error(`❌ [Auth] Failed to send verification email to user ${user.id}:`, error.message);
+  });
+};
+
 // POST /auth/signup - Register a new user
 router.post('/signup', signupRateLimiter, authTimeout, validateSignup, async (req, res, next) => {
   try {
     const { email, password, name } = req.body;
 
     // Check if account is locked
-    const lockoutStatus = isAccountLocked(email);
+    const lockoutStatus = await isAccountLocked(email);
     if (lockoutStatus && lockoutStatus.locked) {
       return res.status(423).json({ 
         error: 'Account is temporarily locked due to too many failed attempts',
@@ -26,14 +70,16 @@ router.post('/signup', signupRateLimiter, authTimeout, validateSignup, async (re
     const user = await createUser(email, password, name);
     
     // Clear any failed attempts on successful signup
-    clearFailedAttempts(email);
+    await clearFailedAttempts(email);
+
+    await startEmailVerification(user);
     
-    // Generate token
-    const token = generateToken(user.id);
+    // Generate tokens
+    const tokens = await issueTokens(user);
 
     res.status(201).json({
       user,
-      token
+      ...tokens
     });
   } catch (error) {
     if (error.message === 'User with this email already exists') {
@@ -49,7 +95,7 @@ router.post('/login', authRateLimiter, authTimeout, validateLogin, async (req, r
     const { email, password } = req.body;
 
     // Check if account is locked
-    const lockoutStatus = isAccountLocked(email);
+    const lockoutStatus = await isAccountLocked(email);
     if (lockoutStatus && lockoutStatus.locked) {
       return res.status(423).json({ 
         error: 'Account is temporarily locked due to too many failed login attempts',
@@ -61,7 +107,7 @@ router.post('/login', authRateLimiter, authTimeout, validateLogin, async (req, r
     const user = await getUserByEmail(email);
     if (!user) {
       // Record failed attempt even if user doesn't exist (prevent user enumeration)
-      recordFailedAttempt(email);
+      await recordFailedAttempt(email);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -69,7 +115,7 @@ router.post('/login', authRateLimiter, authTimeout, validateLogin, async (req, r
     const isValidPassword = await verifyPassword(password, user.password);
     if (!isValidPassword) {
       // Record failed attempt
-      const lockoutInfo = recordFailedAttempt(email);
+      const lockoutInfo = await recordFailedAttempt(email);
       
       // Check if account is now locked
       if (lockoutInfo.lockedUntil) {
@@ -86,18 +132,166 @@ router.post('/login', authRateLimiter, authTimeout, validateLogin, async (req, r
     }
 
     // Clear failed attempts on successful login
-    clearFailedAttempts(email);
+    await clearFailedAttempts(email);
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Generate tokens
+    const tokens = await issueTokens(user);
 
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
+    res.json({
+      user: toPublicUser(user),
+      ...tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/refresh - Exchange a refresh token for new access and refresh tokens
+router.post('/refresh', refreshRateLimiter, authTimeout, validateRefreshToken, async (req, res, next) => {
+  try {
+    const { user, ...tokens } = await refreshTokens(req.body.refreshToken);
 
     res.json({
-      user: userWithoutPassword,
-      token
+      user,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message });
+    }
+    return next(error);
+  }
+});
+
+// POST /auth/logout - Log out this device, or every device with allDevices
+router.post('/logout', authenticateToken, authTimeout, validateLogout, async (req, res, next) => {
+  try {
+    if (req.body.allDevices) {
+      await revokeAllUserTokens(req.user.id);
+    } else if (req.auth.familyId) {
+      await revokeRefreshFamily(req.auth.familyId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const sendPasswordReset = async (email) => {
+  const user = await getUserByEmail(email);
+  if (!user) {
+    return;
+  }
+
+  const token = await createAccountToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+};
+
+// POST /auth/forgot-password - Email a password reset link
+// Always responds the same way so it can't be used to discover accounts.
+// The account is only looked up after the response has been sent, so its
+// timing doesn't reveal whether one exists either.
+router.post('/forgot-password', passwordResetRateLimiter, authTimeout, validateForgotPassword, (req, res) => {
+  const { email } = req.body;
+
+  res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+
+  sendPasswordReset(email).catch(error => {
+    console.error('❌ [Auth] Failed to send password reset email:', error.message);
+  });
+});
+
+// POST /auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', passwordResetRateLimiter, authTimeout, validateResetPassword, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+    const user = userId && await getUserById(userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await updatePassword(user.id, password);
+
+    // Log out every device and lift any lockout from failed logins
+    await revokeAllUserTokens(user.id);
+    await clearFailedAttempts(user.email);
+
+    console.log(`🔑 [Auth] Password reset for user ${user.id}`);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verification links are opened in a browser, so those requests get a small
+// page; API clients asking for JSON get JSON
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const verificationPage = (message, token = null) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Thoughts Reframed</title></head>
+<body>
+<p>${escapeHtml(message)}</p>
+${token ? `<form method="post" action="verify-email"><input type="hidden" name="token" value="${escapeHtml(token)}"><button type="submit">Confirm email address</button></form>` : ''}
+</body>
+</html>`;
+
+const sendVerificationResult = (res, status, message, token = null) => {
+  res.status(status).format({
+    json: () => res.json(status < 400 ? { message } : { error: message }),
+    html: () => res.send(verificationPage(message, token))
+  });
+};
+
+// GET /auth/verify-email?token= - Page the verification email links to.
+// Mail scanners and link previews open links too, so this only checks the
+// token; it is used up when the page is submitted.
+router.get('/verify-email', apiRateLimiter, authTimeout, async (req, res, next) => {
+  try {
+    const userId = await checkAccountToken(req.query.token, 'email_verification');
+    if (!userId) {
+      return sendVerificationResult(res, 400, 'Invalid or expired verification token');
+    }
+
+    sendVerificationResult(res, 200, 'Confirm your email address to finish setting up your account.', req.query.token);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/verify-email - Confirm an email address with the token from the link
+router.post('/verify-email', apiRateLimiter, authTimeout, validateVerifyEmail, async (req, res, next) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+    const user = userId && await getUserById(userId);
+    if (!user) {
+      return sendVerificationResult(res, 400, 'Invalid or expired verification token');
+    }
+
+    await updateUser(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
     });
+
+    console.log(`✅ [Auth] Email verified for user ${user.id}`);
+    sendVerificationResult(res, 200, 'Email address verified');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authenticateToken, verificationEmailRateLimiter, authTimeout, async (req, res, next) => {
+  try {
+    if (isEmailVerified(req.user)) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await startEmailVerification(req.user);
+    res.json({ message: 'Verification email sent' });
   } catch (error) {
     next(error);
   }
@@ -112,5 +306,132 @@ router.get('/me', authenticateToken, async (req, res, next) => {
   }
 });
 
-export default router;
+// PATCH /auth/me - Update profile fields
+router.patch('/me', authenticateToken, apiRateLimiter, validateProfileUpdate, async (req, res, next) => {
+  try {
+    const updates = {};
+    if (req.body.name !== undefined) {
+      updates.name = req.body.name;
+    }
+    if (req.body.deleteRecordingsAfterProcessing !== undefined) {
+      updates.deleteRecordingsAfterProcessing = req.body.deleteRecordingsAfterProcessing;
+    }
+    if (req.body.preferredLanguage !== undefined) {
+      updates.preferredLanguage = req.body.preferredLanguage;
+    }
+    if (req.body.reframingStyle !== undefined) {
+      updates.reframingStyle = req.body.reframingStyle;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    const user = await updateUser(req.user.id, updates);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/change-password - Change password and log out every other device
+router.post('/change-password', authenticateToken, authRateLimiter, authTimeout, validateChangePassword, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await getUserByEmail(req.user.email);
+    const isValidPassword = user && await verifyPassword(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await updatePassword(user.id, newPassword);
+
+    // Revoke every outstanding token, then give this device a fresh session
+    const updatedUser = await revokeAllUserTokens(user.id);
+    const tokens = await issueTokens(updatedUser);
+
+    console.log(`🔑 [Auth] Password changed for user ${user.id}`);
+    res.json({
+      message: 'Password changed successfully',
+      user: updatedUser,
+      ...tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/me/export - Start building a downloadable archive of the user's data
+router.post('/me/export', authenticateToken, apiRateLimiter, async (req, res, next) => {
+  try {
+    const record = await requestExport(req.user.id);
+    res.status(202).json({ export: presentExport(record) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /auth/me/export/:exportId - Export status, with a download link once ready
+router.get('/me/export/:exportId', authenticateToken, apiRateLimiter, async (req, res, next) => {
+  try {
+    const record = await getExport(req.params.exportId);
+    if (!record || record.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ export: presentExport(record) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /auth/me/export/:exportId/download - Download the archive via its signed, expiring link
+router.get('/me/export/:exportId/download', apiRateLimiter, async (req, res, next) => {
+  try {
+    const { exportId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifySignedPath(getDownloadPath(exportId), expires, signature)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const record = await getExport(exportId);
+    const stats = record?.status === 'ready' ? await getMediaStats(getExportArchiveKey(record)) : null;
+    if (!stats) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    // The archive is stored encrypted, so it is decrypted on the way out
+    const date = record.completedAt.slice(0, 10);
+    res.attachment(`thoughts-reframed-export-${date}.zip`);
+    res.set('Content-Length', String(stats.size));
+    const archive = await createMediaReadStream(getExportArchiveKey(record));
+    archive.on('error', next);
+    archive.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /auth/me - Permanently delete the account and all of its data
+router.delete('/me', authenticateToken, authRateLimiter, validateDeleteAccount, async (req, res, next) => {
+  try {
+    const user = await getUserByEmail(req.user.email);
+    const isValidPassword = user && await verifyPassword(req.body.password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const result = await deleteAccount(user.id);
 
+    res.json({
+      message: 'Account deleted',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
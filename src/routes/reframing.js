@@ -0,0 +1,19 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { apiRateLimiter } from '../middleware/rateLimiter.js';
+import { REFRAMING_STYLES, presentReframingStyle } from '../services/reframingStyles.js';
+import { COGNITIVE_DISTORTIONS } from '../services/cognitiveDistortions.js';
+
+const router = express.Router();
+
+// GET /reframing/styles - Styles a thought can be reframed in
+router.get('/styles', authenticateToken, apiRateLimiter, (req, res) => {
+  res.json({ styles: REFRAMING_STYLES.map(presentReframingStyle) });
+});
+
+// GET /reframing/distortions - Thinking traps a reframe can point out
+router.get('/distortions', authenticateToken, apiRateLimiter, (req, res) => {
+  res.json({ distortions: COGNITIVE_DISTORTIONS });
+});
+
+export default router;
@@ -2,36 +2,51 @@ import express from 'express';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
-import { createSession, getSession, updateSession, getUserSessions } from '../services/sessionService.js';
-import { processAudioPipeline } from '../services/processingService.js';
+import { createSession, getSession, updateSession, getUserSessions, presentSession } from '../services/sessionService.js';
+import {
+  enqueueProcessing,
+  hasPendingProcessing,
+  resolveStartStep,
+  resetForNewRecording,
+  withProcessingLock,
+  needsVariantSelection,
+  selectReframeVariant,
+  IN_FLIGHT_STATUSES,
+  PIPELINE_STEPS
+} from '../services/processingService.js';
+import { subscribeToSession, describeSessionUpdate, TERMINAL_STATUSES } from '../services/sessionEvents.js';
+import { buildCaptions } from '../services/captionService.js';
+import { storeMediaFile, deleteMediaFile } from '../services/mediaStorage.js';
+import { recordingKey } from '../storage/blobs.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireVerifiedEmail } from '../middleware/emailVerification.js';
 import { apiRateLimiter, uploadRateLimiter } from '../middleware/rateLimiter.js';
 import { uploadTimeout, processingTimeout } from '../middleware/requestTimeout.js';
+import { validateSessionLanguage, validateProcessOptions, validateReframeOptions, validateCaptionsQuery } from '../middleware/validator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const uploadDir = process.env.UPLOAD_DIR || './uploads';
+// Configure multer for file uploads. Files land in a local temporary
+// directory and are moved into blob storage once the session is checked.
+const uploadTempDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'thoughts-reframed-uploads');
+
+// Ensure upload temp directory exists
+if (!fs.existsSync(uploadTempDir)) {
+  fs.mkdirSync(uploadTempDir, { recursive: true });
+}
+
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const sessionId = req.params.id;
-    const sessionDir = path.join(uploadDir, sessionId);
-    if (!fs.existsSync(sessionDir)) {
-      fs.mkdirSync(sessionDir, { recursive: true });
-    }
-    cb(null, sessionDir);
-  },
+  destination: uploadTempDir,
   filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const ext = path.extname(file.originalname);
-    cb(null, `audio_${timestamp}${ext}`);
+    cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
   }
 });
 
@@ -55,25 +70,25 @@ router.get('/', authenticateToken, apiRateLimiter, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const sessions = await getUserSessions(userId);
-    res.json({ sessions });
+    res.json({ sessions: sessions.map(presentSession) });
   } catch (error) {
     next(error);
   }
 });
 
 // POST /sessions - Create a new session
-router.post('/', authenticateToken, apiRateLimiter, async (req, res, next) => {
+router.post('/', authenticateToken, apiRateLimiter, validateSessionLanguage, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const session = await createSession(userId);
-    res.status(201).json(session);
+    const session = await createSession(userId, { language: req.body.language || null });
+    res.status(201).json(presentSession(session));
   } catch (error) {
     next(error);
   }
 });
 
 // POST /sessions/:id/upload - Upload audio file
-router.post('/:id/upload', authenticateToken, uploadRateLimiter, uploadTimeout, upload.single('audio'), async (req, res, next) => {
+router.post('/:id/upload', authenticateToken, requireVerifiedEmail('upload_audio'), uploadRateLimiter, uploadTimeout, upload.single('audio'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
@@ -95,37 +110,63 @@ router.post('/:id/upload', authenticateToken, uploadRateLimiter, uploadTimeout,
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Move the recording into storage, encrypted with the owner's data key
+    const filename = `audio_${Date.now()}${path.extname(req.file.originalname)}`;
+    const key = recordingKey(sessionId, filename);
+    await storeMediaFile(key, req.file.path, userId);
+
     // Update session with audio file info
-    const audioFiles = session.audioFiles || [];
-    audioFiles.push({
-      filename: req.file.filename,
+    const audioFile = {
+      filename,
       originalName: req.file.originalname,
-      path: req.file.path,
+      key,
       size: req.file.size,
       mimetype: req.file.mimetype,
       uploadedAt: new Date().toISOString()
-    });
+    };
 
-    await updateSession(sessionId, {
-      audioFiles,
-      status: 'audio_uploaded'
-    });
+    try {
+      await updateSession(sessionId, (current) => ({
+        audioFiles: [...(current.audioFiles || []), audioFile],
+        ...resetForNewRecording(),
+        status: 'audio_uploaded'
+      }));
+    } catch (error) {
+      if (error.code === 'INVALID_STATUS_TRANSITION') {
+        await deleteMediaFile(key);
+        return res.status(409).json({ error: 'Cannot upload audio while the session is being processed' });
+      }
+      throw error;
+    }
 
     res.json({
       message: 'Audio file uploaded successfully',
       file: {
-        filename: req.file.filename,
+        filename,
         size: req.file.size,
         mimetype: req.file.mimetype
       }
     });
   } catch (error) {
+    // Don't leave the temporary upload behind
+    if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
     next(error);
   }
 });
 
-// POST /sessions/:id/process - Trigger processing pipeline
-router.post('/:id/process', authenticateToken, apiRateLimiter, processingTimeout, async (req, res, next) => {
+// Handlers that start processing check the session and then queue a run.
+// They run one at a time per session, so two concurrent requests can't both
+// find it idle and queue the pipeline twice.
+const oneRunAtATime = (handler) => (req, res, next) => {
+  return withProcessingLock(req.params.id, () => handler(req, res, next));
+};
+
+// Shared handler for /process, /retry and /reframes/regenerate. A fresh run
+// starts from the first step unless `fromStep` is given (or forced, as when
+// regenerating reframes); a retry resumes at the first incomplete step.
+const queueProcessing = ({ resume = false, forcedStep = null } = {}) => oneRunAtATime(async (req, res, next) => {
   try {
     const sessionId = req.params.id;
     const userId = req.user.id;
@@ -144,26 +185,189 @@ router.post('/:id/process', authenticateToken, apiRateLimiter, processingTimeout
       return res.status(400).json({ error: 'No audio files uploaded for this session' });
     }
 
-    // Update status to processing
-    await updateSession(sessionId, { status: 'processing' });
+    if (IN_FLIGHT_STATUSES.includes(session.status) && hasPendingProcessing(sessionId)) {
+      return res.status(409).json({ error: 'Session is already being processed' });
+    }
 
-    // Start processing pipeline asynchronously
-    processAudioPipeline(sessionId).catch(error => {
-      console.error(`Error processing session ${sessionId}:`, error);
-      updateSession(sessionId, {
-        status: 'error',
-        error: error.message
-      });
+    let fromStep;
+    try {
+      const requestedStep = forcedStep || req.body?.fromStep;
+      fromStep = resume || requestedStep
+        ? resolveStartStep(session, requestedStep)
+        : PIPELINE_STEPS[0];
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!fromStep) {
+      return res.status(400).json({ error: 'All processing steps have already completed' });
+    }
+
+    if (fromStep === 'tts' && needsVariantSelection(session)) {
+      return res.status(409).json({ error: 'Choose one of the reframes before generating audio' });
+    }
+
+    // Recordings may have been removed by the retention policy
+    const latestAudio = session.audioFiles[session.audioFiles.length - 1];
+    if (fromStep === PIPELINE_STEPS[0] && latestAudio.deletedAt) {
+      return res.status(409).json({ error: 'The recording for this session has been deleted. Upload it again to process it.' });
+    }
+
+    // Update status to processing, with the language and style to use from now on
+    const updates = { status: 'processing', error: null };
+    if (req.body?.language !== undefined) {
+      updates.language = req.body.language;
+    }
+    if (req.body?.style !== undefined) {
+      updates.style = req.body.style;
+    }
+    await updateSession(sessionId, updates);
+
+    // Queue the processing pipeline; a worker picks it up asynchronously
+    const job = await enqueueProcessing(sessionId, fromStep);
+
+    res.json({
+      message: 'Processing started',
+      sessionId: sessionId,
+      jobId: job.id,
+      fromStep,
+      status: 'processing'
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /sessions/:id/process - Trigger processing pipeline
+router.post('/:id/process', authenticateToken, requireVerifiedEmail('process_session'), apiRateLimiter, processingTimeout, validateProcessOptions, queueProcessing());
+
+// POST /sessions/:id/retry - Resume processing from the first incomplete step
+router.post('/:id/retry', authenticateToken, requireVerifiedEmail('process_session'), apiRateLimiter, processingTimeout, queueProcessing({ resume: true }));
+
+// POST /sessions/:id/reframes/regenerate - Replace the session's reframes with new ones
+router.post('/:id/reframes/regenerate', authenticateToken, requireVerifiedEmail('process_session'), apiRateLimiter, processingTimeout, validateReframeOptions, queueProcessing({ forcedStep: 'reframe' }));
+
+// POST /sessions/:id/reframes/:variantId/select - Choose the reframe to generate audio for
+router.post('/:id/reframes/:variantId/select', authenticateToken, requireVerifiedEmail('process_session'), apiRateLimiter, processingTimeout, oneRunAtATime(async (req, res, next) => {
+  try {
+    const sessionId = req.params.id;
+    const userId = req.user.id;
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Verify session belongs to user
+    if (session.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const variant = session.reframeVariants?.find(candidate => candidate.id === req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ error: 'Reframe not found' });
+    }
+
+    if (session.status !== 'awaiting_selection') {
+      return res.status(409).json({ error: 'The session is not waiting for a reframe to be chosen' });
+    }
+
+    let job;
+    try {
+      job = await selectReframeVariant(sessionId, variant);
+    } catch (error) {
+      // The session changed since it was read (e.g. a new upload)
+      if (error.code === 'REFRAME_NOT_SELECTABLE') {
+        return res.status(409).json({ error: 'The session is not waiting for a reframe to be chosen' });
+      }
+      throw error;
+    }
 
     res.json({
       message: 'Processing started',
       sessionId: sessionId,
+      jobId: job.id,
+      variantId: variant.id,
+      fromStep: 'tts',
       status: 'processing'
     });
   } catch (error) {
     next(error);
   }
+}));
+
+// GET /sessions/:id/events - Stream session progress as Server-Sent Events
+router.get('/:id/events', authenticateToken, apiRateLimiter, async (req, res, next) => {
+  try {
+    const sessionId = req.params.id;
+    const userId = req.user.id;
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Verify session belongs to user
+    if (session.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // EventSource reconnects whenever the server closes the stream, so
+    // clients are told to close it themselves before we do
+    const finish = (status) => {
+      send('done', { status });
+      res.end();
+    };
+
+    // Start with the current state so clients don't need a separate GET
+    send('snapshot', presentSession(session));
+
+    if (TERMINAL_STATUSES.includes(session.status)) {
+      return finish(session.status);
+    }
+
+    res.write('retry: 3000\n\n');
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, 15000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    const unsubscribe = subscribeToSession(sessionId, (previous, updated) => {
+      for (const { event, data } of describeSessionUpdate(previous, updated)) {
+        send(event, data);
+      }
+
+      if (updated.status !== previous.status && TERMINAL_STATUSES.includes(updated.status)) {
+        cleanup();
+        finish(updated.status);
+      }
+    });
+
+    req.on('close', cleanup);
+  } catch (error) {
+    next(error);
+  }
 });
 
 // GET /sessions/:id - Get session status and results
@@ -182,7 +386,40 @@ router.get('/:id', authenticateToken, apiRateLimiter, async (req, res, next) =>
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json(session);
+    res.json(presentSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /sessions/:id/captions - Timed captions of the recording or the reframed audio
+router.get('/:id/captions', authenticateToken, apiRateLimiter, validateCaptionsQuery, async (req, res, next) => {
+  try {
+    const sessionId = req.params.id;
+    const userId = req.user.id;
+    const { format, track } = req.query;
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Verify session belongs to user
+    if (session.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const captions = buildCaptions(session, { track, format });
+    if (!captions) {
+      return res.status(404).json({ error: `No ${track} captions are available for this session` });
+    }
+
+    res.set({
+      'Content-Type': captions.contentType,
+      'Content-Disposition': `inline; filename="session_${sessionId}_${track}.${format}"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(captions.body);
   } catch (error) {
     next(error);
   }
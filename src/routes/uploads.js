@@ -1,49 +1,98 @@
 import express from 'express';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
+import { verifySignedPath } from '../utils/urlSigning.js';
+import { buildEtag, isNotModified, resolveRange } from '../utils/httpRange.js';
+import {
+  getMediaStats,
+  createMediaReadStream,
+  getMediaContentType,
+  getDirectMediaUrl
+} from '../services/mediaStorage.js';
+import { generatedAudioKey } from '../storage/blobs.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const router = express.Router();
 
-const generatedAudioDir = process.env.GENERATED_AUDIO_DIR || './uploads/generated';
+// Generated files are never rewritten (each has a timestamp in its name), so
+// clients may keep their copy. `private` keeps shared caches out of it.
+const AUDIO_CACHE_CONTROL = 'private, max-age=86400, immutable';
 
-// GET /uploads/:filename - Serve generated audio files
-router.get('/:filename', (req, res, next) => {
+// GET /uploads/:filename?expires=...&signature=... - Serve generated audio files
+// Only reachable through the signed URLs handed out with a user's own sessions,
+// since media players can't easily send an Authorization header
+router.get('/:filename', async (req, res, next) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(generatedAudioDir, filename);
+    const { expires, signature } = req.query;
+
+    if (!verifySignedPath(`${req.baseUrl}/${filename}`, expires, signature)) {
+      return res.status(403).json({ error: 'Link is invalid or has expired' });
+    }
 
     // Security: prevent directory traversal
-    const resolvedPath = path.resolve(filePath);
-    const resolvedDir = path.resolve(generatedAudioDir);
-    
-    if (!resolvedPath.startsWith(resolvedDir)) {
+    if (filename !== path.basename(filename) || filename.startsWith('.')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Sizes and ranges refer to the audio itself, not the encrypted file
+    const key = generatedAudioKey(filename);
+    const stats = await getMediaStats(key);
+    if (!stats) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Set appropriate headers
-    const ext = path.extname(filename).toLowerCase();
-    const contentTypeMap = {
-      '.mp3': 'audio/mpeg',
-      '.wav': 'audio/wav',
-      '.m4a': 'audio/mp4',
-      '.webm': 'audio/webm'
-    };
+    // Unencrypted audio in a bucket can be fetched from there directly, for
+    // no longer than this link is valid
+    if (!stats.encrypted) {
+      const directUrl = await getDirectMediaUrl(key, Math.max(parseInt(expires, 10) - Math.floor(Date.now() / 1000), 1));
+      if (directUrl) {
+        return res.redirect(302, directUrl);
+      }
+    }
+    const validators = { etag: buildEtag(stats), lastModified: stats.mtime };
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', validators.etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('Cache-Control', AUDIO_CACHE_CONTROL);
+
+    if (isNotModified(req, validators)) {
+      return res.status(304).end();
+    }
 
-    res.setHeader('Content-Type', contentTypeMap[ext] || 'application/octet-stream');
+    res.setHeader('Content-Type', getMediaContentType(filename));
     res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
 
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
+    const range = resolveRange(req, stats.size, validators);
+
+    if (range.type === 'multiple' || range.type === 'unsatisfiable') {
+      // Multipart byte ranges aren't supported; players only ask for one range
+      res.setHeader('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    let streamOptions = {};
+    if (range.type === 'partial') {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+      streamOptions = { start: range.start, end: range.end };
+    } else {
+      res.setHeader('Content-Length', stats.size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // Stream the file, decrypting on the fly
+    const fileStream = await createMediaReadStream(key, streamOptions);
+    fileStream.on('error', next);
     fileStream.pipe(res);
   } catch (error) {
     next(error);
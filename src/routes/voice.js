@@ -3,11 +3,17 @@ import multer from 'multer';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
 
 import { authenticateToken } from '../middleware/auth.js';
+import { requireVerifiedEmail } from '../middleware/emailVerification.js';
 import { updateUser, getUserById } from '../services/userService.js';
 import { createVoiceClone, getVoiceCloningText } from '../services/voiceCloningService.js';
+import { storeMediaFile, deleteMediaFile } from '../services/mediaStorage.js';
+import { voiceSampleKey } from '../storage/blobs.js';
+import { deleteVoiceSampleAfterCloning } from '../services/retentionService.js';
 import { apiRateLimiter, uploadRateLimiter } from '../middleware/rateLimiter.js';
 import { uploadTimeout } from '../middleware/requestTimeout.js';
 
@@ -19,28 +25,20 @@ const router = express.Router();
 // All voice routes require authentication
 router.use(authenticateToken);
 
-const uploadDir = process.env.UPLOAD_DIR || './uploads';
-const voiceSamplesDir = path.join(uploadDir, 'voice-samples');
+// Samples land in a local temporary directory and are moved into blob
+// storage before cloning
+const uploadTempDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'thoughts-reframed-uploads');
 
-// Ensure voice samples directory exists
-if (!fs.existsSync(voiceSamplesDir)) {
-  fs.mkdirSync(voiceSamplesDir, { recursive: true });
+// Ensure upload temp directory exists
+if (!fs.existsSync(uploadTempDir)) {
+  fs.mkdirSync(uploadTempDir, { recursive: true });
 }
 
 // Configure multer for voice sample uploads
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const userId = req.user.id;
-    const userDir = path.join(voiceSamplesDir, userId);
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    cb(null, userDir);
-  },
+  destination: uploadTempDir,
   filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const ext = path.extname(file.originalname);
-    cb(null, `voice_sample_${timestamp}${ext}`);
+    cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
   }
 });
 
@@ -71,28 +69,33 @@ router.get('/cloning-text', apiRateLimiter, async (req, res) => {
 
 // POST /voice/clone - Upload voice sample and create voice clone
 // Note: authenticateToken is already applied via router.use() above
-router.post('/clone', uploadRateLimiter, uploadTimeout, upload.single('audio'), async (req, res, next) => {
+router.post('/clone', requireVerifiedEmail('voice_clone'), uploadRateLimiter, uploadTimeout, upload.single('audio'), async (req, res, next) => {
+  let sampleKey = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
 
     const userId = req.user.id;
-    const audioFilePath = req.file.path;
     const voiceName = req.body.name || `${req.user.email} Voice Clone`;
 
     console.log(`🎤 [Voice] Creating voice clone for user ${userId}`);
 
+    // Store the sample, encrypted, before doing anything else with it
+    sampleKey = voiceSampleKey(userId, `voice_sample_${Date.now()}${path.extname(req.file.originalname)}`);
+    await storeMediaFile(sampleKey, req.file.path, userId);
+
     // Create voice clone with ElevenLabs
-    const voiceClone = await createVoiceClone(audioFilePath, voiceName);
+    const voiceClone = await createVoiceClone(sampleKey, voiceName);
 
     // Update user with voice ID
     const updatedUser = await updateUser(userId, {
       voiceId: voiceClone.voiceId
     });
 
-    // Clean up the uploaded file (optional - could keep for backup)
-    // fs.unlinkSync(audioFilePath);
+    // The sample is kept as a backup unless the user asked for recordings to
+    // be deleted after processing; otherwise VOICE_SAMPLE_RETENTION_DAYS applies
+    await deleteVoiceSampleAfterCloning(req.user, sampleKey);
 
     console.log(`✅ [Voice] Voice clone created and saved for user ${userId}`);
     console.log(`📦 [Voice] Response data:`, {
@@ -114,8 +117,11 @@ router.post('/clone', uploadRateLimiter, uploadTimeout, upload.single('audio'),
     });
   } catch (error) {
     // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
+    if (sampleKey) {
+      await deleteMediaFile(sampleKey).catch(() => {});
     }
     console.error(`❌ [Voice] Error creating voice clone for user ${req.user?.id || 'unknown'}:`, error.message);
     console.error(`❌ [Voice] Error stack:`, error.stack);
@@ -0,0 +1,65 @@
+import 'dotenv/config';
+import { runRetentionCleanup, RETENTION_POLICY } from '../services/retentionService.js';
+
+// Apply the retention policy now instead of waiting for the hourly run:
+//
+//   npm run cleanup              delete expired and orphaned files
+//   npm run cleanup -- --dry-run list what would be deleted, change nothing
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const describeRetention = (ms) => {
+  return ms > 0 ? `${ms / DAY} days` : 'kept forever';
+};
+
+const printReport = (report) => {
+  const verb = report.dryRun ? 'would be deleted' : 'deleted';
+
+  console.log('');
+  console.log(`📋 [Retention] Report${report.dryRun ? ' (dry run, nothing was changed)' : ''}`);
+  console.log(`   recordings       ${describeRetention(RETENTION_POLICY.recordings)}`);
+  console.log(`   voice samples    ${describeRetention(RETENTION_POLICY.voiceSamples)}`);
+  console.log(`   generated audio  ${describeRetention(RETENTION_POLICY.generatedAudio)}`);
+  console.log(`   orphaned files   after ${RETENTION_POLICY.orphanGracePeriod / (60 * 60 * 1000)} hours`);
+  console.log('');
+
+  const groups = new Map();
+  for (const file of report.deleted) {
+    const label = `${file.type} (${file.reason})`;
+    groups.set(label, [...(groups.get(label) || []), file]);
+  }
+
+  if (groups.size === 0) {
+    console.log(`   Nothing ${verb}`);
+  }
+  for (const [label, files] of groups) {
+    console.log(`   ${label}: ${files.length}`);
+    for (const file of files) {
+      console.log(`     ${file.key} (${file.size} bytes)`);
+    }
+  }
+
+  console.log('');
+  console.log(`   ${report.deleted.length} file(s), ${(report.bytes / 1024 / 1024).toFixed(1)} MB ${verb}`);
+
+  if (report.failures.length > 0) {
+    console.log('');
+    console.log(`⚠️  Failures: ${report.failures.length}`);
+    for (const { item, reason } of report.failures) {
+      console.log(`   ${item}: ${reason}`);
+    }
+  }
+};
+
+const main = async () => {
+  const report = await runRetentionCleanup({ dryRun: process.argv.includes('--dry-run') });
+  printReport(report);
+  return report.failures.length === 0;
+};
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('❌ [Retention] Failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,458 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { storageConfig } from '../storage/config.js';
+import { createJsonRepositories } from '../storage/jsonRepositories.js';
+import Database from 'better-sqlite3';
+import { createSqliteRepositories } from '../storage/sqliteRepositories.js';
+
+// Copy sessions, users and login lockouts between the JSON data directory and
+// the SQLite database, in either direction:
+//
+//   npm run migrate:storage -- json-to-sqlite [--dry-run]
+//   npm run migrate:storage -- sqlite-to-json [--dry-run]
+//
+// Locations come from SESSIONS_DIR, USERS_DIR, LOCKOUT_DIR and DATABASE_PATH.
+// Records are validated and normalized on the way; anything that can't be
+// migrated is listed in the report instead of stopping the run. Existing
+// records in the target are overwritten by id, so the command can be re-run.
+// Data export records are not copied: they expire within a day, and users
+// can request a new export after the switch.
+
+const DIRECTIONS = ['json-to-sqlite', 'sqlite-to-json'];
+
+const usage = () => {
+  console.log('Usage: node src/scripts/migrate-storage.js <json-to-sqlite|sqlite-to-json> [--dry-run]');
+};
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+};
+
+const createReport = () => {
+  const counts = () => ({ read: 0, migrated: 0, normalized: 0 });
+  return {
+    sessions: counts(),
+    users: counts(),
+    lockouts: counts(),
+    skipped: [],
+    corrupt: [],
+    warnings: []
+  };
+};
+
+// --- Normalization -------------------------------------------------------
+// Each normalizer returns { record, changes } or throws with the reason the
+// record has to be skipped.
+
+const normalizeSession = (raw, expectedId) => {
+  const changes = [];
+  const session = { ...raw };
+
+  if (typeof session.id !== 'string' || !session.id) {
+    if (!expectedId) {
+      throw new Error('missing id');
+    }
+    session.id = expectedId;
+    changes.push('id taken from file name');
+  } else if (expectedId && session.id !== expectedId) {
+    throw new Error(`id ${session.id} does not match file name`);
+  }
+
+  if (!isValidDate(session.createdAt)) {
+    if (!isValidDate(session.updatedAt)) {
+      throw new Error('missing or invalid createdAt');
+    }
+    session.createdAt = session.updatedAt;
+    changes.push('createdAt taken from updatedAt');
+  }
+
+  // Sessions created before accounts existed have no owner
+  if (typeof session.userId !== 'string' || !session.userId) {
+    session.userId = null;
+    changes.push('no userId (created before accounts)');
+  }
+
+  if (typeof session.status !== 'string' || !session.status) {
+    session.status = 'created';
+    changes.push('missing status set to created');
+  }
+
+  if (!Array.isArray(session.audioFiles)) {
+    session.audioFiles = [];
+    changes.push('audioFiles set to []');
+  }
+
+  for (const field of ['transcript', 'reframedText', 'generatedAudioUrl', 'error']) {
+    if (session[field] === undefined) {
+      session[field] = null;
+    }
+  }
+
+  if (!isValidDate(session.updatedAt)) {
+    session.updatedAt = session.createdAt;
+  }
+
+  return { record: session, changes };
+};
+
+const normalizeUser = (raw, expectedId) => {
+  const changes = [];
+  const user = { ...raw };
+
+  if (typeof user.id !== 'string' || !user.id) {
+    throw new Error('missing id');
+  }
+  if (expectedId && user.id !== expectedId) {
+    throw new Error(`id ${user.id} does not match file name`);
+  }
+  if (typeof user.email !== 'string' || !user.email.includes('@')) {
+    throw new Error('missing or invalid email');
+  }
+  if (typeof user.password !== 'string' || !user.password) {
+    throw new Error('missing password hash');
+  }
+
+  const email = user.email.trim().toLowerCase();
+  if (email !== user.email) {
+    user.email = email;
+    changes.push('email lowercased');
+  }
+
+  if (!isValidDate(user.createdAt)) {
+    if (!isValidDate(user.updatedAt)) {
+      throw new Error('missing or invalid createdAt');
+    }
+    user.createdAt = user.updatedAt;
+    changes.push('createdAt taken from updatedAt');
+  }
+
+  for (const field of ['name', 'voiceId']) {
+    if (user[field] === undefined) {
+      user[field] = null;
+    }
+  }
+
+  return { record: user, changes };
+};
+
+const normalizeLockout = (raw) => {
+  const changes = [];
+  const lockout = { ...raw };
+
+  if (typeof lockout.email !== 'string' || !lockout.email) {
+    throw new Error('missing email');
+  }
+  if (!Number.isInteger(lockout.failedAttempts) || lockout.failedAttempts < 0) {
+    throw new Error('invalid failedAttempts');
+  }
+
+  const email = lockout.email.trim().toLowerCase();
+  if (email !== lockout.email) {
+    lockout.email = email;
+    changes.push('email lowercased');
+  }
+
+  lockout.lockedUntil = isValidDate(lockout.lockedUntil) ? lockout.lockedUntil : null;
+  lockout.lastAttempt = isValidDate(lockout.lastAttempt) ? lockout.lastAttempt : null;
+
+  return { record: lockout, changes };
+};
+
+// --- Sources ---------------------------------------------------------------
+// A source yields { kind: { entries, corrupt } } where each entry is
+// { source, raw, expectedId } and corrupt lists unreadable records.
+
+const readJsonDir = (dir, { exclude = [] } = {}) => {
+  const entries = [];
+  const corrupt = [];
+
+  if (!fs.existsSync(dir)) {
+    return { entries, corrupt };
+  }
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.json') || exclude.includes(file)) {
+      continue;
+    }
+    const filePath = path.join(dir, file);
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('not a JSON object');
+      }
+      entries.push({ source: filePath, raw, expectedId: path.basename(file, '.json') });
+    } catch (error) {
+      corrupt.push({ source: filePath, reason: error.message });
+    }
+  }
+
+  return { entries, corrupt };
+};
+
+// email_index.json is rebuilt from the user records by the target, so here it
+// is only checked against them and any disagreement is reported
+const checkEmailIndex = (usersDir, users, report) => {
+  const indexPath = path.join(usersDir, 'email_index.json');
+  if (!fs.existsSync(indexPath)) {
+    if (users.length > 0) {
+      report.warnings.push({ source: indexPath, reason: 'email index missing; users are matched by their own email' });
+    }
+    return;
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (error) {
+    report.corrupt.push({ source: indexPath, reason: error.message });
+    return;
+  }
+
+  const usersById = new Map(users.map(user => [user.id, user]));
+  for (const [email, userId] of Object.entries(index)) {
+    const user = usersById.get(userId);
+    if (!user) {
+      report.warnings.push({ source: indexPath, reason: `${email} points to missing user ${userId}; dropped` });
+    } else if (user.email.toLowerCase() !== email.toLowerCase()) {
+      report.warnings.push({ source: indexPath, reason: `${email} points to user ${userId} whose email is ${user.email}; record wins` });
+    }
+  }
+
+  const indexedIds = new Set(Object.values(index));
+  for (const user of users) {
+    if (!indexedIds.has(user.id)) {
+      report.warnings.push({ source: indexPath, reason: `user ${user.id} was missing from the index; matched by its own email` });
+    }
+  }
+};
+
+const readJsonSource = ({ sessionsDir, usersDir, lockoutDir }) => {
+  const lockouts = readJsonDir(lockoutDir);
+  // Lockout files are named by a hash of the email, not an id
+  lockouts.entries.forEach(entry => { entry.expectedId = null; });
+
+  return {
+    sessions: readJsonDir(sessionsDir),
+    users: readJsonDir(usersDir, { exclude: ['email_index.json'] }),
+    lockouts
+  };
+};
+
+const readSqliteRows = (db, table, keyColumn) => {
+  const entries = [];
+  const corrupt = [];
+
+  for (const row of db.prepare(`SELECT ${keyColumn} AS key, data FROM ${table} ORDER BY ${keyColumn}`).all()) {
+    const source = `${table}:${row.key}`;
+    try {
+      const raw = JSON.parse(row.data);
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('not a JSON object');
+      }
+      entries.push({ source, raw, expectedId: keyColumn === 'id' ? row.key : null });
+    } catch (error) {
+      corrupt.push({ source, reason: error.message });
+    }
+  }
+
+  return { entries, corrupt };
+};
+
+const readSqliteSource = (db) => {
+  return {
+    sessions: readSqliteRows(db, 'sessions', 'id'),
+    users: readSqliteRows(db, 'users', 'id'),
+    lockouts: readSqliteRows(db, 'lockouts', 'email')
+  };
+};
+
+// --- Migration -------------------------------------------------------------
+
+const normalizeAll = (kind, { entries, corrupt }, normalize, report) => {
+  report.corrupt.push(...corrupt);
+  report[kind].read = entries.length + corrupt.length;
+
+  const records = [];
+  for (const entry of entries) {
+    try {
+      const { record, changes } = normalize(entry.raw, entry.expectedId);
+      if (changes.length > 0) {
+        report[kind].normalized += 1;
+        report.warnings.push({ source: entry.source, reason: changes.join(', ') });
+      }
+      records.push({ source: entry.source, record });
+    } catch (error) {
+      report.skipped.push({ source: entry.source, reason: error.message });
+    }
+  }
+  return records;
+};
+
+const writeUsers = async (target, users, report, dryRun) => {
+  // Oldest account keeps an email claimed by more than one record
+  const ordered = [...users].sort((a, b) => new Date(a.record.createdAt) - new Date(b.record.createdAt));
+  const claimed = new Map();
+  const written = new Set();
+
+  for (const { source, record: user } of ordered) {
+    const firstClaim = claimed.get(user.email);
+    if (firstClaim && firstClaim !== user.id) {
+      report.skipped.push({ source, reason: `email ${user.email} already used by user ${firstClaim}` });
+      continue;
+    }
+
+    const owner = await target.users.findByEmail(user.email);
+    if (owner && owner.id !== user.id) {
+      report.skipped.push({ source, reason: `email ${user.email} belongs to user ${owner.id} in the target` });
+      continue;
+    }
+
+    claimed.set(user.email, user.id);
+    written.add(user.id);
+
+    if (!dryRun) {
+      if (await target.users.findById(user.id)) {
+        await target.users.save(user);
+      } else {
+        await target.users.create(user);
+      }
+    }
+    report.users.migrated += 1;
+  }
+
+  return written;
+};
+
+const writeSessions = async (target, sessions, userIds, report, dryRun) => {
+  for (const { source, record: session } of sessions) {
+    if (session.userId && !userIds.has(session.userId) && !(await target.users.findById(session.userId))) {
+      report.warnings.push({ source, reason: `owner ${session.userId} not found; session kept but unreachable` });
+    }
+
+    if (!dryRun) {
+      await target.sessions.save(session);
+    }
+    report.sessions.migrated += 1;
+  }
+};
+
+const writeLockouts = async (target, lockouts, report, dryRun) => {
+  for (const { record: lockout } of lockouts) {
+    if (!dryRun) {
+      await target.lockouts.save(lockout);
+    }
+    report.lockouts.migrated += 1;
+  }
+};
+
+const migrate = async (sourceData, target, report, dryRun) => {
+  const users = normalizeAll('users', sourceData.users, normalizeUser, report);
+  const sessions = normalizeAll('sessions', sourceData.sessions, normalizeSession, report);
+  const lockouts = normalizeAll('lockouts', sourceData.lockouts, normalizeLockout, report);
+
+  const userIds = await writeUsers(target, users, report, dryRun);
+  await writeSessions(target, sessions, userIds, report, dryRun);
+  await writeLockouts(target, lockouts, report, dryRun);
+
+  return users.map(({ record }) => record);
+};
+
+const migrateJsonToSqlite = async (report, dryRun) => {
+  const { sessionsDir, usersDir, lockoutDir, databasePath } = storageConfig;
+  console.log(`📂 [Migrate] ${sessionsDir}, ${usersDir}, ${lockoutDir} -> ${databasePath}`);
+
+  const sourceData = readJsonSource({ sessionsDir, usersDir, lockoutDir });
+
+  // A dry run must not create or change the database file, so it works on
+  // a copy of the database in memory, or on an empty one
+  const target = !dryRun
+    ? createSqliteRepositories(databasePath)
+    : fs.existsSync(databasePath)
+      ? createSqliteRepositories(databasePath, { copy: true })
+      : createSqliteRepositories(':memory:');
+
+  // One transaction, so a failed run leaves the database as it was
+  target.db.exec('BEGIN');
+  try {
+    const users = await migrate(sourceData, target, report, dryRun);
+    checkEmailIndex(usersDir, users, report);
+    target.db.exec('COMMIT');
+  } catch (error) {
+    target.db.exec('ROLLBACK');
+    throw error;
+  } finally {
+    target.db.close();
+  }
+};
+
+const migrateSqliteToJson = async (report, dryRun) => {
+  const { sessionsDir, usersDir, lockoutDir, exportsDir, databasePath } = storageConfig;
+  console.log(`📂 [Migrate] ${databasePath} -> ${sessionsDir}, ${usersDir}, ${lockoutDir}`);
+
+  if (!fs.existsSync(databasePath)) {
+    throw new Error(`Database not found at ${databasePath}`);
+  }
+
+  // Only read from, so opened read-only without the schema setup
+  const source = new Database(databasePath, { readonly: true, fileMustExist: true });
+  try {
+    const sourceData = readSqliteSource(source);
+    const target = createJsonRepositories({ sessionsDir, usersDir, lockoutDir, exportsDir });
+    await migrate(sourceData, target, report, dryRun);
+  } finally {
+    source.close();
+  }
+};
+
+const printReport = (report, dryRun) => {
+  console.log('');
+  console.log(dryRun ? '📋 [Migrate] Dry run, nothing was written' : '📋 [Migrate] Migration report');
+  for (const kind of ['users', 'sessions', 'lockouts']) {
+    const { read, migrated, normalized } = report[kind];
+    console.log(`   ${kind.padEnd(9)} read ${read}, ${dryRun ? 'would migrate' : 'migrated'} ${migrated}, normalized ${normalized}`);
+  }
+
+  const sections = [
+    ['⚠️  Corrupt (unreadable, not migrated)', report.corrupt],
+    ['⚠️  Skipped (invalid or conflicting)', report.skipped],
+    ['ℹ️  Notes', report.warnings]
+  ];
+  for (const [title, items] of sections) {
+    if (items.length === 0) {
+      continue;
+    }
+    console.log('');
+    console.log(`${title}: ${items.length}`);
+    for (const { source, reason } of items) {
+      console.log(`   ${source}: ${reason}`);
+    }
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const direction = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+
+  if (!DIRECTIONS.includes(direction)) {
+    usage();
+    process.exit(1);
+  }
+
+  const report = createReport();
+  if (direction === 'json-to-sqlite') {
+    await migrateJsonToSqlite(report, dryRun);
+  } else {
+    await migrateSqliteToJson(report, dryRun);
+  }
+
+  printReport(report, dryRun);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ [Migrate] Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,193 @@
+import 'dotenv/config';
+import { getAllUserIds, getUserRecord, updateUser } from '../services/userService.js';
+import { getAllSessionIds, getSession, getUserSessions, reencryptSession } from '../services/sessionService.js';
+import {
+  isEncryptionEnabled,
+  getActiveMasterKeyId,
+  generateDataKey,
+  rewrapDataKey,
+  getUserKeyring
+} from '../services/encryptionService.js';
+import { encryptMediaFile, listMediaFiles, mediaExists } from '../services/mediaStorage.js';
+import { getRecordingKey, getGeneratedAudioKey } from '../storage/blobs.js';
+
+// Bring all stored user content up to the current keys:
+//
+//   npm run reencrypt                        rewrap data keys with the active
+//                                            master key and encrypt anything
+//                                            still stored in plain text
+//   npm run reencrypt -- --rotate-data-keys  also give every user a new data
+//                                            key and re-encrypt their data
+//
+// Master key rotation: put the new key first in ENCRYPTION_KEYS (keeping the
+// old one after it), restart, run this command, then remove the old key.
+// Each run is safe to repeat; an interrupted run is finished by running it again.
+
+const report = {
+  usersRewrapped: 0,
+  dataKeysCreated: 0,
+  dataKeysRotated: 0,
+  sessionsReencrypted: 0,
+  filesReencrypted: 0,
+  unownedSessions: 0,
+  failures: []
+};
+
+const rewrapUserKeys = async (userId) => {
+  const user = await getUserRecord(userId);
+  const dataKey = user.dataKey && rewrapDataKey(userId, user.dataKey);
+  const retired = (user.retiredDataKeys || []).map(key => rewrapDataKey(userId, key));
+  if (!dataKey && !retired.some(Boolean)) {
+    return;
+  }
+
+  await updateUser(userId, (current) => ({
+    dataKey: (current.dataKey && rewrapDataKey(userId, current.dataKey)) || current.dataKey,
+    retiredDataKeys: (current.retiredDataKeys || []).map(key => rewrapDataKey(userId, key) || key)
+  }));
+  report.usersRewrapped += 1;
+};
+
+// The old key is kept as retired until everything has been re-encrypted, so
+// an interrupted run never leaves data without a key
+const rotateUserKey = async (userId) => {
+  const dataKey = generateDataKey(userId);
+  await updateUser(userId, (current) => ({
+    dataKey,
+    retiredDataKeys: [...(current.retiredDataKeys || []), ...(current.dataKey ? [current.dataKey] : [])]
+  }));
+  report.dataKeysRotated += 1;
+};
+
+// Keys of every stored audio file and export archive belonging to the user
+const userFiles = async (userId, sessions) => {
+  const keys = [];
+  for (const session of sessions) {
+    for (const audioFile of session.audioFiles || []) {
+      if (!audioFile.deletedAt) {
+        keys.push(getRecordingKey(session.id, audioFile));
+      }
+    }
+    for (const url of [session.generatedAudioUrl, session.affirmationAudioUrl]) {
+      if (url) {
+        keys.push(getGeneratedAudioKey(url));
+      }
+    }
+  }
+
+  const existing = [];
+  for (const key of keys) {
+    if (await mediaExists(key)) {
+      existing.push(key);
+    }
+  }
+
+  const samples = await listMediaFiles(`voice-samples/${userId}/`);
+  const exports = await listMediaFiles(`exports/${userId}/`);
+  return [...existing, ...samples.map(file => file.key), ...exports.map(file => file.key)];
+};
+
+const reencryptUser = async (userId, { rotate }) => {
+  const hadKey = Boolean((await getUserRecord(userId)).dataKey);
+
+  await rewrapUserKeys(userId);
+  if (rotate && hadKey) {
+    await rotateUserKey(userId);
+  } else if (!hadKey) {
+    await getUserKeyring(userId, { create: true });
+    report.dataKeysCreated += 1;
+  }
+
+  const sessions = await getUserSessions(userId);
+  let failed = false;
+
+  for (const session of sessions) {
+    try {
+      if (await reencryptSession(session.id)) {
+        report.sessionsReencrypted += 1;
+      }
+    } catch (error) {
+      failed = true;
+      report.failures.push({ item: `session ${session.id}`, reason: error.message });
+    }
+  }
+
+  for (const key of await userFiles(userId, sessions)) {
+    try {
+      if (await encryptMediaFile(key, userId)) {
+        report.filesReencrypted += 1;
+      }
+    } catch (error) {
+      failed = true;
+      report.failures.push({ item: key, reason: error.message });
+    }
+  }
+
+  // Everything now uses the current key, so the retired ones can go
+  if (!failed && (await getUserRecord(userId)).retiredDataKeys?.length) {
+    await updateUser(userId, { retiredDataKeys: [] });
+  }
+
+  return sessions.map(session => session.id);
+};
+
+const printReport = () => {
+  console.log('');
+  console.log('📋 [Reencrypt] Report');
+  console.log(`   data keys created     ${report.dataKeysCreated}`);
+  console.log(`   data keys rotated     ${report.dataKeysRotated}`);
+  console.log(`   users rewrapped       ${report.usersRewrapped}`);
+  console.log(`   sessions re-encrypted ${report.sessionsReencrypted}`);
+  console.log(`   files re-encrypted    ${report.filesReencrypted}`);
+
+  if (report.unownedSessions > 0) {
+    console.log('');
+    console.log(`ℹ️  ${report.unownedSessions} session(s) have no owner with a data key and were left as they are`);
+  }
+
+  if (report.failures.length > 0) {
+    console.log('');
+    console.log(`⚠️  Failures: ${report.failures.length} (retired keys were kept for these users)`);
+    for (const { item, reason } of report.failures) {
+      console.log(`   ${item}: ${reason}`);
+    }
+  }
+};
+
+const main = async () => {
+  const rotate = process.argv.includes('--rotate-data-keys');
+
+  if (!isEncryptionEnabled()) {
+    throw new Error('Encryption is not configured. Set ENCRYPTION_KEYS first.');
+  }
+
+  console.log(`🔐 [Reencrypt] Active master key: ${getActiveMasterKeyId()}${rotate ? ', rotating data keys' : ''}`);
+
+  const visited = new Set();
+  for (const userId of await getAllUserIds()) {
+    try {
+      for (const sessionId of await reencryptUser(userId, { rotate })) {
+        visited.add(sessionId);
+      }
+    } catch (error) {
+      report.failures.push({ item: `user ${userId}`, reason: error.message });
+    }
+  }
+
+  // Sessions from before accounts existed, or whose owner is gone
+  for (const sessionId of await getAllSessionIds()) {
+    if (!visited.has(sessionId) && await getSession(sessionId)) {
+      report.unownedSessions += 1;
+    }
+  }
+
+  printReport();
+  return report.failures.length === 0;
+};
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('❌ [Reencrypt] Failed:', error.message);
+    process.exit(1);
+  });
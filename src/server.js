@@ -9,9 +9,14 @@ import sessionRoutes from './routes/sessions.js';
 import uploadRoutes from './routes/uploads.js';
 import authRoutes from './routes/auth.js';
 import voiceRoutes from './routes/voice.js';
+import reframingRoutes from './routes/reframing.js';
+import adminRoutes from './routes/admin.js';
 import { securityHeaders, corsConfig } from './middleware/security.js';
 import { apiRateLimiter } from './middleware/rateLimiter.js';
 import { validateEnv } from './utils/envValidator.js';
+import { startJobQueue, recoverJobs } from './services/jobQueue.js';
+import { recoverInterruptedSessions } from './services/processingService.js';
+import { storageConfig } from './storage/config.js';
 
 dotenv.config();
 
@@ -30,15 +35,16 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Ensure upload directories exist
-const uploadDir = process.env.UPLOAD_DIR || './uploads';
-const generatedAudioDir = process.env.GENERATED_AUDIO_DIR || './uploads/generated';
+// Ensure upload directories exist when audio is stored on local disk
+const { blobDriver, uploadDir, generatedAudioDir } = storageConfig;
 
-[uploadDir, generatedAudioDir].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+if (blobDriver === 'local') {
+  [uploadDir, generatedAudioDir].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
+}
 
 // Security middleware (must be first)
 app.use(securityHeaders);
@@ -60,6 +66,8 @@ app.use('/auth', authRoutes);
 app.use('/sessions', sessionRoutes);
 app.use('/uploads', uploadRoutes);
 app.use('/voice', voiceRoutes);
+app.use('/reframing', reframingRoutes);
+app.use('/admin', adminRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -92,7 +100,25 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`Upload directory: ${uploadDir}`);
-  console.log(`Generated audio directory: ${generatedAudioDir}`);
+  if (blobDriver === 'local') {
+    console.log(`Upload directory: ${uploadDir}`);
+    console.log(`Generated audio directory: ${generatedAudioDir}`);
+  }
 });
 
+// Resume work interrupted by a previous crash or restart, then start the workers
+const startBackgroundWork = async () => {
+  try {
+    const requeued = await recoverJobs();
+    const failed = await recoverInterruptedSessions();
+    if (requeued > 0 || failed > 0) {
+      console.log(`🔁 [Server] Recovery: ${requeued} job(s) requeued, ${failed} stuck session(s) marked as error`);
+    }
+  } catch (error) {
+    console.error('❌ [Server] Recovery pass failed:', error);
+  }
+  startJobQueue();
+};
+
+startBackgroundWork();
+
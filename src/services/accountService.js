@@ -0,0 +1,53 @@
+import { getUserById, deleteUser } from './userService.js';
+import { getUserSessions, deleteSession } from './sessionService.js';
+import { deleteVoiceClone } from './voiceCloningService.js';
+import { deleteUserRefreshTokens } from './tokenService.js';
+import { invalidateAccountTokens } from './accountTokenService.js';
+import { deleteUserExports } from './exportService.js';
+import { forgetUserKeys } from './encryptionService.js';
+import { deleteMediaFiles } from './mediaStorage.js';
+import { clearFailedAttempts } from '../middleware/accountLockout.js';
+
+// Remove a session's recordings, generated audio and record
+const deleteSessionData = async (sessionId) => {
+  await deleteMediaFiles(`recordings/${sessionId}/`);
+  await deleteMediaFiles(`generated/reframed_${sessionId}_`);
+  await deleteSession(sessionId);
+};
+
+// Permanently delete a user and everything stored for them
+export const deleteAccount = async (userId) => {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  console.log(`🗑️ [Account] Deleting account ${userId}`);
+
+  // Delete the cloned voice first: if ElevenLabs is down, the request fails
+  // and can be retried before any local data is gone. The shared default
+  // voice is never deleted.
+  if (user.voiceId && user.voiceId !== process.env.ELEVENLABS_VOICE_ID) {
+    await deleteVoiceClone(user.voiceId);
+  }
+
+  const sessions = await getUserSessions(userId);
+  for (const session of sessions) {
+    await deleteSessionData(session.id);
+  }
+
+  await deleteMediaFiles(`voice-samples/${userId}/`);
+  await deleteUserExports(userId);
+
+  await deleteUserRefreshTokens(userId);
+  await invalidateAccountTokens(userId);
+  await clearFailedAttempts(user.email);
+
+  // Removing the user record also removes their data key, so any copy of
+  // their encrypted files that survived elsewhere can no longer be read
+  await deleteUser(userId);
+  forgetUserKeys(userId);
+
+  console.log(`✅ [Account] Deleted account ${userId} (${sessions.length} sessions)`);
+  return { deletedSessions: sessions.length };
+};
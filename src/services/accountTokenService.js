@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const usersDir = process.env.USERS_DIR || './data/users';
+const accountTokensDir = process.env.ACCOUNT_TOKENS_DIR || path.join(usersDir, 'tokens');
+
+// Ensure account tokens directory exists
+if (!fs.existsSync(accountTokensDir)) {
+  fs.mkdirSync(accountTokensDir, { recursive: true });
+}
+
+// Single-use tokens emailed to users (password reset, etc.). Only a hash of
+// the token is stored, so a leaked data directory can't be used to take
+// over accounts.
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getTokenPath = (tokenHash) => {
+  return path.join(accountTokensDir, `${tokenHash}.json`);
+};
+
+const loadTokenRecords = () => {
+  return fs.readdirSync(accountTokensDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(accountTokensDir, file), 'utf8'));
+      } catch (error) {
+        console.error(`Error reading account token file ${file}:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Remove outstanding tokens of this purpose for a user
+export const invalidateAccountTokens = async (userId, purpose = null) => {
+  for (const record of loadTokenRecords()) {
+    if (record.userId === userId && (!purpose || record.purpose === purpose)) {
+      fs.rmSync(getTokenPath(record.tokenHash), { force: true });
+    }
+  }
+};
+
+// Create a token; any earlier token with the same purpose stops working
+export const createAccountToken = async (userId, purpose, ttlMs) => {
+  await invalidateAccountTokens(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+
+  const record = {
+    tokenHash,
+    userId,
+    purpose,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+  fs.writeFileSync(getTokenPath(tokenHash), JSON.stringify(record, null, 2));
+
+  return token;
+};
+
+// The stored record of a token with this purpose, expired or not
+const findTokenRecord = (token, purpose) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+
+  const tokenPath = getTokenPath(hashToken(token));
+  if (!fs.existsSync(tokenPath)) {
+    return null;
+  }
+
+  const record = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+  return record.purpose === purpose ? record : null;
+};
+
+// Returns the userId the token was issued for, or null if it is unknown,
+// expired or for another purpose. The token stays valid.
+export const checkAccountToken = async (token, purpose) => {
+  const record = findTokenRecord(token, purpose);
+  if (!record || new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+  return record.userId;
+};
+
+// Like checkAccountToken, but a valid token is deleted so it can't be used
+// twice
+export const consumeAccountToken = async (token, purpose) => {
+  const record = findTokenRecord(token, purpose);
+  if (!record) {
+    return null;
+  }
+
+  fs.rmSync(getTokenPath(record.tokenHash), { force: true });
+
+  if (new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return record.userId;
+};
+
+// Cleanup expired tokens (run periodically)
+export const cleanupExpiredAccountTokens = () => {
+  const now = new Date();
+
+  for (const record of loadTokenRecords()) {
+    if (new Date(record.expiresAt) <= now) {
+      fs.rmSync(getTokenPath(record.tokenHash), { force: true });
+    }
+  }
+};
+
+// Run cleanup every hour
+setInterval(cleanupExpiredAccountTokens, 60 * 60 * 1000);
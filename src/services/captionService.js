@@ -0,0 +1,146 @@
+// Captions for a session's recording (`original`, from the transcript
+// segments) or its reframed audio (`reframed`, from the TTS alignment), as
+// SubRip or WebVTT. WebVTT cues carry a timestamp before every word, so a
+// player can highlight the words as they are spoken.
+
+export const CAPTION_FORMATS = ['srt', 'vtt'];
+export const CAPTION_TRACKS = ['original', 'reframed'];
+
+const CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8'
+};
+
+// Two lines of 42 characters, the usual limit for readable captions
+const MAX_CUE_LENGTH = 84;
+// A pause this long (in seconds) starts a new cue
+const MAX_PAUSE = 1;
+
+// Words of the reframed text with their timings, from the character
+// alignment: each run of non-space characters is one word
+const alignmentToWords = ({ characters, characterStartTimes, characterEndTimes }) => {
+  const words = [];
+  let current = null;
+
+  characters.forEach((character, index) => {
+    if (/\s/.test(character)) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { word: '', start: characterStartTimes[index], end: characterEndTimes[index] };
+      words.push(current);
+    }
+    current.word += character;
+    current.end = characterEndTimes[index];
+  });
+
+  return words;
+};
+
+// Group timed words into cues, breaking at sentence ends, pauses and the
+// length limit
+const wordsToCues = (words) => {
+  const cues = [];
+  let cue = null;
+
+  for (const word of words) {
+    const previous = cue?.words[cue.words.length - 1];
+    const startsNewCue = !cue
+      || cue.text.length + 1 + word.word.length > MAX_CUE_LENGTH
+      || /[.!?]["')\]]*$/.test(previous.word)
+      || word.start - previous.end > MAX_PAUSE;
+
+    if (startsNewCue) {
+      cue = { start: word.start, end: word.end, text: word.word, words: [word] };
+      cues.push(cue);
+    } else {
+      cue.end = word.end;
+      cue.text += ` ${word.word}`;
+      cue.words.push(word);
+    }
+  }
+
+  return cues;
+};
+
+// Segments with word timings are regrouped into cues of a readable length;
+// without them each segment is one cue
+const segmentsToCues = (segments) => {
+  if (segments.every(segment => segment.words?.length > 0)) {
+    return wordsToCues(segments.flatMap(segment => segment.words));
+  }
+  return segments
+    .filter(segment => segment.text)
+    .map(segment => ({ start: segment.start, end: segment.end, text: segment.text, words: null }));
+};
+
+const formatTime = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+const formatSrt = (cues) => {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}`,
+    cue.text,
+    ''
+  ].join('\n')).join('\n');
+};
+
+// "&", "<" and ">" are markup in WebVTT cue text
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Cue text with a timestamp tag before each word after the first. Tags
+// must fall strictly inside the cue, so words starting at its edges get none.
+const vttCueText = (cue) => {
+  if (!cue.words) {
+    return escapeVtt(cue.text);
+  }
+  return cue.words.map((word, index) => {
+    const text = escapeVtt(word.word);
+    return index > 0 && word.start > cue.start && word.start < cue.end
+      ? `<${formatTime(word.start, '.')}>${text}`
+      : text;
+  }).join(' ');
+};
+
+const formatVtt = (cues) => {
+  const body = cues.map(cue => [
+    `${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}`,
+    vttCueText(cue),
+    ''
+  ].join('\n')).join('\n');
+  return `WEBVTT\n\n${body}`;
+};
+
+// Cues of a track, or null when the session has no timings for it: sessions
+// processed before timings were stored, providers that don't time their
+// output, and reframed audio that failed or was deleted
+const getCues = (session, track) => {
+  if (track === 'original') {
+    return session.transcriptSegments?.length ? segmentsToCues(session.transcriptSegments) : null;
+  }
+  if (!session.generatedAudioUrl || !session.reframedAlignment) {
+    return null;
+  }
+  return wordsToCues(alignmentToWords(session.reframedAlignment));
+};
+
+// { body, contentType } for a track in a format, or null (see getCues)
+export const buildCaptions = (session, { track, format }) => {
+  const cues = getCues(session, track);
+  if (!cues) {
+    return null;
+  }
+  return {
+    body: format === 'srt' ? formatSrt(cues) : formatVtt(cues),
+    contentType: CONTENT_TYPES[format]
+  };
+};
@@ -0,0 +1,67 @@
+// Thinking traps a reframe can point out, so the app can explain why a
+// thought was reframed. Ids are what the model is asked to report.
+
+export const COGNITIVE_DISTORTIONS = [
+  {
+    id: 'all_or_nothing',
+    name: 'All-or-nothing thinking',
+    description: 'Seeing things in black and white, as total success or complete failure.'
+  },
+  {
+    id: 'overgeneralization',
+    name: 'Overgeneralization',
+    description: 'Treating one bad event as a never-ending pattern, often with "always" or "never".'
+  },
+  {
+    id: 'mental_filter',
+    name: 'Mental filter',
+    description: 'Dwelling on a single negative detail and ignoring everything else.'
+  },
+  {
+    id: 'discounting_the_positive',
+    name: 'Discounting the positive',
+    description: 'Insisting that good things don\'t count.'
+  },
+  {
+    id: 'mind_reading',
+    name: 'Mind reading',
+    description: 'Assuming you know what others think of you without evidence.'
+  },
+  {
+    id: 'fortune_telling',
+    name: 'Fortune telling',
+    description: 'Predicting that things will turn out badly as if it were a fact.'
+  },
+  {
+    id: 'catastrophizing',
+    name: 'Catastrophizing',
+    description: 'Expecting the worst possible outcome, or blowing a problem out of proportion.'
+  },
+  {
+    id: 'emotional_reasoning',
+    name: 'Emotional reasoning',
+    description: 'Taking a feeling as proof: "I feel like a failure, so I must be one."'
+  },
+  {
+    id: 'should_statements',
+    name: 'Should statements',
+    description: 'Holding yourself or others to rigid rules of how things "should" or "must" be.'
+  },
+  {
+    id: 'labeling',
+    name: 'Labeling',
+    description: 'Defining yourself or others by a single trait or mistake, such as "I\'m an idiot".'
+  },
+  {
+    id: 'personalization',
+    name: 'Personalization',
+    description: 'Blaming yourself for things that aren\'t entirely, or at all, in your control.'
+  },
+  {
+    id: 'blaming',
+    name: 'Blaming',
+    description: 'Holding others entirely responsible for how you feel.'
+  }
+];
+
+export const COGNITIVE_DISTORTION_IDS = COGNITIVE_DISTORTIONS.map(distortion => distortion.id);
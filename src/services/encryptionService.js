@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { getUserRecord, updateUser } from './userService.js';
+
+// Envelope encryption for user content at rest.
+//
+// Each user has a random 256-bit data key (DEK) that encrypts their session
+// text and audio files. The DEK is stored on the user record, wrapped
+// (AES-256-GCM) by a master key from ENCRYPTION_KEYS, so the data files alone
+// are useless without the environment. Deleting the user deletes the DEK.
+//
+// ENCRYPTION_KEYS is a comma-separated list of `<keyId>:<base64 32 bytes>`.
+// The first key wraps new DEKs; the others are only used to unwrap DEKs
+// wrapped before a rotation (see `npm run reencrypt`).
+
+const FIELD_PREFIX = 'enc:v1:';
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+const parseMasterKeys = () => {
+  const keys = new Map();
+  const value = process.env.ENCRYPTION_KEYS || '';
+
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<base64-encoded 32-byte key>');
+    }
+    keys.set(keyId, key);
+  }
+
+  return keys;
+};
+
+const masterKeys = parseMasterKeys();
+const activeMasterKeyId = masterKeys.keys().next().value || null;
+
+export const isEncryptionEnabled = () => {
+  return activeMasterKeyId !== null;
+};
+
+export const getActiveMasterKeyId = () => {
+  return activeMasterKeyId;
+};
+
+const gcmEncrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(GCM_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const gcmDecrypt = (key, payload, aad) => {
+  const iv = payload.subarray(0, GCM_IV_LENGTH);
+  const tag = payload.subarray(GCM_IV_LENGTH, GCM_IV_LENGTH + GCM_TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(payload.subarray(GCM_IV_LENGTH + GCM_TAG_LENGTH)), decipher.final()]);
+};
+
+// --- Data keys ---------------------------------------------------------------
+
+// The wrapped key is bound to its user and id, so it can't be copied onto
+// another account
+const wrapDataKey = (userId, keyId, key) => {
+  if (!isEncryptionEnabled()) {
+    throw new Error('Encryption is not configured. Set ENCRYPTION_KEYS.');
+  }
+  return {
+    id: keyId,
+    masterKeyId: activeMasterKeyId,
+    wrappedKey: gcmEncrypt(masterKeys.get(activeMasterKeyId), key, `${userId}:${keyId}`).toString('base64'),
+    createdAt: new Date().toISOString()
+  };
+};
+
+const unwrapDataKey = (userId, dataKey) => {
+  const masterKey = masterKeys.get(dataKey.masterKeyId);
+  if (!masterKey) {
+    throw new Error(`Master key ${dataKey.masterKeyId} is not in ENCRYPTION_KEYS`);
+  }
+  return gcmDecrypt(masterKey, Buffer.from(dataKey.wrappedKey, 'base64'), `${userId}:${dataKey.id}`);
+};
+
+// A fresh data key, wrapped for storage on the user record
+export const generateDataKey = (userId) => {
+  return wrapDataKey(userId, crypto.randomBytes(8).toString('hex'), crypto.randomBytes(32));
+};
+
+// The same data key wrapped by the active master key, or null if it already is
+export const rewrapDataKey = (userId, dataKey) => {
+  if (dataKey.masterKeyId === activeMasterKeyId) {
+    return null;
+  }
+  return { ...wrapDataKey(userId, dataKey.id, unwrapDataKey(userId, dataKey)), createdAt: dataKey.createdAt };
+};
+
+// Unwrapped keys, cached per user until their stored keys change
+const keyringCache = new Map();
+
+const buildKeyring = (user) => {
+  const stored = [user.dataKey, ...(user.retiredDataKeys || [])].filter(Boolean);
+  const fingerprint = stored.map(dataKey => dataKey.wrappedKey).join(',');
+
+  const cached = keyringCache.get(user.id);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.keyring;
+  }
+
+  const keys = new Map(stored.map(dataKey => [dataKey.id, unwrapDataKey(user.id, dataKey)]));
+  const keyring = {
+    // Key used for new writes
+    current: user.dataKey ? { id: user.dataKey.id, key: keys.get(user.dataKey.id) } : null,
+    // Any key the user's data may still be encrypted with
+    find: (keyId) => keys.get(keyId) || null
+  };
+
+  keyringCache.set(user.id, { fingerprint, keyring });
+  return keyring;
+};
+
+// Keys for a user's data. With `create`, a user without a data key gets one
+// (when encryption is enabled). Returns null for unknown users.
+export const getUserKeyring = async (userId, { create = false } = {}) => {
+  if (!userId) {
+    return null;
+  }
+
+  let user = await getUserRecord(userId);
+  if (!user) {
+    return null;
+  }
+
+  if (!user.dataKey && create && isEncryptionEnabled()) {
+    const dataKey = generateDataKey(userId);
+    // Another request may have created one in the meantime; keep theirs
+    await updateUser(userId, (current) => (current.dataKey ? {} : { dataKey }));
+    user = await getUserRecord(userId);
+  }
+
+  return buildKeyring(user);
+};
+
+export const forgetUserKeys = (userId) => {
+  keyringCache.delete(userId);
+};
+
+// --- Field values ------------------------------------------------------------
+
+export const isEncryptedValue = (value) => {
+  return typeof value === 'string' && value.startsWith(FIELD_PREFIX);
+};
+
+// Id of the data key an encrypted value was written with
+export const getValueKeyId = (value) => {
+  return isEncryptedValue(value) ? value.slice(FIELD_PREFIX.length).split(':')[0] : null;
+};
+
+// Values are JSON-encoded first, so any field type can be encrypted. `context`
+// (e.g. `<sessionId>:transcript`) is authenticated, so a value can't be moved
+// to another record or field.
+export const encryptValue = (value, keyring, context) => {
+  if (value === null || value === undefined || !keyring?.current) {
+    return value;
+  }
+  const { id, key } = keyring.current;
+  const payload = gcmEncrypt(key, Buffer.from(JSON.stringify(value)), context);
+  return `${FIELD_PREFIX}${id}:${payload.toString('base64')}`;
+};
+
+export const decryptValue = (value, keyring, context) => {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+
+  const [keyId, payload] = value.slice(FIELD_PREFIX.length).split(':');
+  const key = keyring?.find(keyId);
+  if (!key) {
+    throw new Error(`Data key ${keyId} is not available to decrypt ${context}`);
+  }
+  return JSON.parse(gcmDecrypt(key, Buffer.from(payload, 'base64'), context).toString('utf8'));
+};
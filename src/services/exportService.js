@@ -0,0 +1,294 @@
+import { v4 as uuidv4 } from 'uuid';
+import archiver from 'archiver';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getUserById } from './userService.js';
+import { getUserSessions } from './sessionService.js';
+import { COGNITIVE_DISTORTIONS } from './cognitiveDistortions.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { signPath } from '../utils/urlSigning.js';
+import {
+  createMediaReadStream,
+  mediaExists,
+  listMediaFiles,
+  storeMediaFile,
+  deleteMediaFile,
+  deleteMediaFiles
+} from './mediaStorage.js';
+import { getRecordingKey, getGeneratedAudioKey, exportArchiveKey } from '../storage/blobs.js';
+import { exportRepository } from '../storage/index.js';
+
+const EXPORT_TTL = parseInt(process.env.EXPORT_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+// Archives are built here, then moved into the blob store like an upload
+const exportTempDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'thoughts-reframed-uploads');
+
+export const EXPORT_USER_DATA_JOB = 'export_user_data';
+
+// Export records go through the storage repositories and archives through
+// the blob store, so any server instance can serve the download, and
+// archives are encrypted at rest like the recordings they contain.
+
+const updateExport = async (exportId, updates) => {
+  const record = await getExport(exportId);
+  if (!record) {
+    throw new Error('Export not found');
+  }
+  return await exportRepository.save({ ...record, ...updates });
+};
+
+export const getExport = async (exportId) => {
+  return await exportRepository.findById(exportId);
+};
+
+// Blob key of a finished export's archive
+export const getExportArchiveKey = (record) => {
+  return exportArchiveKey(record.userId, record.id);
+};
+
+export const getDownloadPath = (exportId) => {
+  return `/auth/me/export/${exportId}/download`;
+};
+
+// Client-facing view of an export, with a signed download link once ready
+export const presentExport = (record) => {
+  return {
+    id: record.id,
+    status: record.status,
+    createdAt: record.createdAt,
+    completedAt: record.completedAt,
+    expiresAt: record.expiresAt,
+    size: record.size,
+    error: record.error,
+    downloadUrl: record.status === 'ready' ? signPath(getDownloadPath(record.id), record.expiresAt) : null
+  };
+};
+
+// Start building an archive, or return the one already in progress
+export const requestExport = async (userId) => {
+  const inProgress = (await exportRepository.findByUserId(userId)).find(record =>
+    record.userId === userId && (record.status === 'pending' || record.status === 'building')
+  );
+  if (inProgress) {
+    return inProgress;
+  }
+
+  const record = await exportRepository.save({
+    id: uuidv4(),
+    userId,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    expiresAt: null,
+    size: null,
+    error: null
+  });
+
+  await enqueueJob(EXPORT_USER_DATA_JOB, { exportId: record.id });
+  console.log(`📦 [Export] Queued data export ${record.id} for user ${userId}`);
+  return record;
+};
+
+const formatSessionIndex = (session) => {
+  const lines = [
+    `## ${new Date(session.createdAt).toUTCString()}`,
+    '',
+    `- Session: \`${session.id}\``,
+    `- Status: ${session.status}`,
+    ''
+  ];
+
+  lines.push('### What you said', '', session.transcript ? session.transcript.trim() : '_No transcript_', '');
+  lines.push('### Reframed', '', session.reframedText ? session.reframedText.trim() : '_No reframe_', '');
+
+  const analysis = session.reframeAnalysis;
+  if (analysis) {
+    const distortions = analysis.distortions.map(id => COGNITIVE_DISTORTIONS.find(distortion => distortion.id === id)?.name || id);
+    lines.push('### Why', '', analysis.explanation, '');
+    if (distortions.length > 0) {
+      lines.push(`Thinking traps: ${distortions.join(', ')}`, '');
+    }
+    if (analysis.evidence.length > 0) {
+      lines.push(...analysis.evidence.map(point => `- ${point}`), '');
+    }
+    lines.push(`> ${analysis.affirmation}`, '');
+  }
+  return lines.join('\n');
+};
+
+const buildIndex = (user, sessions) => {
+  const header = [
+    '# Thoughts Reframed data export',
+    '',
+    `Exported for ${user.name ? `${user.name} ` : ''}<${user.email}> on ${new Date().toUTCString()}.`,
+    '',
+    'This archive contains:',
+    '',
+    '- `profile.json`: your account details',
+    '- `sessions/<id>/session.json`: each session as stored',
+    '- `sessions/<id>/recordings/`: your original recordings',
+    '- `sessions/<id>/reframed.mp3`: the generated reframe audio, where available',
+    '- `sessions/<id>/affirmation.mp3`: the spoken affirmation, where available',
+    '- `voice-samples/`: recordings used to clone your voice',
+    '',
+    `You have ${sessions.length} session${sessions.length === 1 ? '' : 's'}.`,
+    ''
+  ];
+
+  return [...header, ...sessions.map(formatSessionIndex)].join('\n');
+};
+
+// Audio is stored encrypted, so it goes into the archive decrypted
+const addMediaFile = async (archive, key, name) => {
+  archive.append(await createMediaReadStream(key), { name });
+};
+
+const addSessionFiles = async (archive, session) => {
+  const base = `sessions/${session.id}`;
+  archive.append(JSON.stringify(session, null, 2), { name: `${base}/session.json` });
+
+  for (const audioFile of session.audioFiles || []) {
+    const key = getRecordingKey(session.id, audioFile);
+    if (!audioFile.deletedAt && await mediaExists(key)) {
+      await addMediaFile(archive, key, `${base}/recordings/${path.basename(key)}`);
+    }
+  }
+
+  const generatedKey = getGeneratedAudioKey(session.generatedAudioUrl);
+  if (generatedKey && await mediaExists(generatedKey)) {
+    await addMediaFile(archive, generatedKey, `${base}/reframed.mp3`);
+  }
+
+  const affirmationKey = getGeneratedAudioKey(session.affirmationAudioUrl);
+  if (affirmationKey && await mediaExists(affirmationKey)) {
+    await addMediaFile(archive, affirmationKey, `${base}/affirmation.mp3`);
+  }
+};
+
+const buildArchive = async (exportId) => {
+  const record = await getExport(exportId);
+  if (!record) {
+    throw new Error('Export not found');
+  }
+
+  const user = await getUserById(record.userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  await updateExport(exportId, { status: 'building' });
+
+  const sessions = await getUserSessions(user.id);
+  fs.mkdirSync(exportTempDir, { recursive: true });
+  const archivePath = path.join(exportTempDir, `export_${exportId}.zip`);
+  const output = fs.createWriteStream(archivePath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Streams can fail while we are still awaiting media lookups below; keep the
+  // rejection handled until finalize() gets to it
+  finished.catch(() => {});
+
+  try {
+    archive.pipe(output);
+    archive.append(buildIndex(user, sessions), { name: 'index.md' });
+    archive.append(JSON.stringify(user, null, 2), { name: 'profile.json' });
+
+    for (const session of sessions) {
+      await addSessionFiles(archive, session);
+    }
+
+    for (const { key } of await listMediaFiles(`voice-samples/${user.id}/`)) {
+      await addMediaFile(archive, key, `voice-samples/${path.basename(key)}`);
+    }
+
+    await archive.finalize();
+    await finished;
+
+    const { size } = fs.statSync(archivePath);
+    await storeMediaFile(getExportArchiveKey(record), archivePath, user.id);
+
+    const now = Date.now();
+    await updateExport(exportId, {
+      status: 'ready',
+      completedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + EXPORT_TTL).toISOString(),
+      size
+    });
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  } finally {
+    fs.rmSync(archivePath, { force: true });
+  }
+
+  console.log(`✅ [Export] Data export ${exportId} ready (${sessions.length} sessions)`);
+};
+
+const failExport = async (exportId, message) => {
+  const record = await getExport(exportId);
+  if (record) {
+    await deleteMediaFile(getExportArchiveKey(record));
+    await updateExport(exportId, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      // Keep the failed record around as long as a finished one would be
+      expiresAt: new Date(Date.now() + EXPORT_TTL).toISOString(),
+      error: message
+    });
+  }
+};
+
+registerJobHandler(
+  EXPORT_USER_DATA_JOB,
+  async ({ exportId }) => {
+    try {
+      await buildArchive(exportId);
+    } catch (error) {
+      console.error(`❌ [Export] Data export ${exportId} failed:`, error.message);
+      await failExport(exportId, 'Export failed. Please try again.');
+      throw error;
+    }
+  },
+  {
+    onAbandoned: async ({ exportId }) => {
+      await failExport(exportId, 'Export was interrupted. Please try again.');
+    }
+  }
+);
+
+const removeExport = async (record) => {
+  await deleteMediaFile(getExportArchiveKey(record));
+  await exportRepository.delete(record.id);
+};
+
+export const deleteUserExports = async (userId) => {
+  for (const record of await exportRepository.findByUserId(userId)) {
+    await exportRepository.delete(record.id);
+  }
+  await deleteMediaFiles(`exports/${userId}/`);
+};
+
+// Cleanup expired exports (run periodically)
+export const cleanupExpiredExports = async () => {
+  const now = new Date();
+
+  try {
+    for (const record of await exportRepository.findAll()) {
+      if (record.expiresAt && new Date(record.expiresAt) <= now) {
+        await removeExport(record);
+        console.log(`🧹 [Export] Removed expired data export ${record.id}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error cleaning up data exports:', error);
+  }
+};
+
+// Run cleanup every hour
+setInterval(cleanupExpiredExports, 60 * 60 * 1000);
@@ -0,0 +1,206 @@
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+import path from 'path';
+
+const jobsDir = process.env.JOBS_DIR || './data/jobs';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Ensure jobs directory exists
+if (!fs.existsSync(jobsDir)) {
+  fs.mkdirSync(jobsDir, { recursive: true });
+}
+
+// Registered job types: type -> { handler, onAbandoned }
+const handlers = new Map();
+
+let activeJobs = 0;
+let pollTimer = null;
+let draining = false;
+
+const getJobPath = (jobId) => {
+  return path.join(jobsDir, `${jobId}.json`);
+};
+
+const saveJob = (job) => {
+  job.updatedAt = new Date().toISOString();
+  fs.writeFileSync(getJobPath(job.id), JSON.stringify(job, null, 2));
+  return job;
+};
+
+const removeJob = (jobId) => {
+  const jobPath = getJobPath(jobId);
+  if (fs.existsSync(jobPath)) {
+    fs.unlinkSync(jobPath);
+  }
+};
+
+const loadJobs = () => {
+  if (!fs.existsSync(jobsDir)) {
+    return [];
+  }
+
+  const jobs = [];
+  for (const file of fs.readdirSync(jobsDir)) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    try {
+      jobs.push(JSON.parse(fs.readFileSync(path.join(jobsDir, file), 'utf8')));
+    } catch (error) {
+      console.error(`❌ [JobQueue] Could not read job file ${file}:`, error.message);
+    }
+  }
+  return jobs;
+};
+
+// Register the handler for a job type.
+// `onAbandoned(payload, job)` is called when a job that was interrupted by a
+// restart has used up its attempts and will not be run again.
+export const registerJobHandler = (type, handler, options = {}) => {
+  handlers.set(type, {
+    handler,
+    onAbandoned: options.onAbandoned || null
+  });
+};
+
+export const enqueueJob = async (type, payload, options = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    lastError: null,
+    createdAt: now,
+    startedAt: null,
+    updatedAt: now
+  };
+
+  saveJob(job);
+  console.log(`📥 [JobQueue] Enqueued ${type} job ${job.id}`);
+
+  // Pick the job up right away if a worker slot is free
+  if (pollTimer) {
+    setImmediate(processQueue);
+  }
+
+  return job;
+};
+
+// Find queued or running jobs of a type, optionally filtered by payload
+export const findPendingJobs = (type, predicate = () => true) => {
+  return loadJobs().filter(job =>
+    job.type === type &&
+    (job.status === 'queued' || job.status === 'running') &&
+    predicate(job.payload)
+  );
+};
+
+const claimNextJob = () => {
+  const next = loadJobs()
+    .filter(job => job.status === 'queued' && handlers.has(job.type))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+  if (!next) {
+    return null;
+  }
+
+  next.status = 'running';
+  next.attempts += 1;
+  next.startedAt = new Date().toISOString();
+  return saveJob(next);
+};
+
+const runJob = async (job) => {
+  const { handler } = handlers.get(job.type);
+  console.log(`⚙️ [JobQueue] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    await handler(job.payload, job);
+    console.log(`✅ [JobQueue] Job ${job.id} completed`);
+  } catch (error) {
+    // Handlers apply their own retry policy, so an error here is final
+    console.error(`❌ [JobQueue] Job ${job.id} failed:`, error.message);
+  } finally {
+    removeJob(job.id);
+  }
+};
+
+const processQueue = () => {
+  if (draining) {
+    return;
+  }
+  draining = true;
+
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = claimNextJob();
+      if (!job) {
+        break;
+      }
+
+      activeJobs += 1;
+      runJob(job).finally(() => {
+        activeJobs -= 1;
+        setImmediate(processQueue);
+      });
+    }
+  } catch (error) {
+    console.error('❌ [JobQueue] Error while processing queue:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+// Jobs still marked as running were interrupted by a crash or restart.
+// Requeue them, or give up once they have used all their attempts.
+export const recoverJobs = async () => {
+  const interrupted = loadJobs().filter(job => job.status === 'running');
+
+  for (const job of interrupted) {
+    if (job.attempts >= job.maxAttempts) {
+      console.warn(`⚠️ [JobQueue] Abandoning ${job.type} job ${job.id} after ${job.attempts} interrupted attempts`);
+      const registration = handlers.get(job.type);
+      try {
+        if (registration?.onAbandoned) {
+          await registration.onAbandoned(job.payload, job);
+        }
+      } catch (error) {
+        console.error(`❌ [JobQueue] onAbandoned failed for job ${job.id}:`, error.message);
+      }
+      removeJob(job.id);
+    } else {
+      console.log(`🔁 [JobQueue] Requeueing interrupted ${job.type} job ${job.id}`);
+      job.status = 'queued';
+      job.lastError = 'Interrupted by server restart';
+      saveJob(job);
+    }
+  }
+
+  return interrupted.length;
+};
+
+export const startJobQueue = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(processQueue, JOB_POLL_INTERVAL);
+  console.log(`🚀 [JobQueue] Started with concurrency ${JOB_CONCURRENCY}`);
+  setImmediate(processQueue);
+};
+
+export const stopJobQueue = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,111 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Thoughts Reframed <no-reply@thoughtsreframed.app>';
+const mailDir = process.env.MAIL_DIR || './data/mail';
+const passwordResetUrl = process.env.PASSWORD_RESET_URL || 'thoughtsreframed://reset-password';
+const publicBaseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// A mail transport is an object with a `name` and an async `send(message)`,
+// where message is { from, to, subject, text, html }.
+const transports = new Map();
+
+export const registerMailTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+// Development: print messages to the server log
+registerMailTransport({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [Mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+  }
+});
+
+// Development: write each message to MAIL_DIR as JSON
+registerMailTransport({
+  name: 'file',
+  send: async (message) => {
+    if (!fs.existsSync(mailDir)) {
+      fs.mkdirSync(mailDir, { recursive: true });
+    }
+    const filePath = path.join(mailDir, `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`📧 [Mail] Wrote message for ${message.to} to ${filePath}`);
+  }
+});
+
+// Production: SendGrid v3 API
+registerMailTransport({
+  name: 'sendgrid',
+  send: async (message) => {
+    if (!process.env.SENDGRID_API_KEY) {
+      throw new Error('SendGrid API key not configured');
+    }
+
+    const content = [{ type: 'text/plain', value: message.text }];
+    if (message.html) {
+      content.push({ type: 'text/html', value: message.html });
+    }
+
+    await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: { email: message.from.match(/<(.+)>/)?.[1] || message.from },
+        subject: message.subject,
+        content
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.SENDGRID_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      }
+    );
+  }
+});
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports.get(MAIL_TRANSPORT);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = `${passwordResetUrl}?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Thoughts Reframed password',
+    text: `Hi${user.name ? ` ${user.name}` : ''},
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+${link}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to reset your password, you can ignore this email.`
+  });
+};
+
+export const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const link = `${publicBaseUrl}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Thoughts Reframed email address',
+    text: `Hi${user.name ? ` ${user.name}` : ''},
+
+Please confirm your email address by opening the link below:
+
+${link}
+
+This link expires in ${expiresInHours} hours. If you didn't create a Thoughts Reframed account, you can ignore this email.`
+  });
+};
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Transform } from 'stream';
+import { blobStore } from '../storage/blobs.js';
+import { isEncryptionEnabled, getUserKeyring } from './encryptionService.js';
+
+// Every audio read and write goes through here, and so do data export
+// archives. Files live in the blob store (see storage/blobs.js) under keys
+// such as `recordings/<sessionId>/<file>`,
+// encrypted with the owner's data key using AES-256-CTR. CTR lets a byte
+// range be decrypted on its own, so range requests only fetch the bytes they
+// need; GCM would need the whole file to verify the tag.
+//
+// Encrypted layout:
+//   magic "TRAE" | format version (1) | userId length | userId
+//   | data key id length | data key id | IV (16 bytes) | ciphertext
+// The ciphertext is exactly as long as the original audio.
+
+const MAGIC = Buffer.from('TRAE');
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 16;
+const BLOCK_SIZE = 16;
+// magic + version + two length bytes + the longest ids we write
+const MAX_HEADER_LENGTH = MAGIC.length + 1 + 2 + 255 * 2 + IV_LENGTH;
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.webm': 'audio/webm',
+  '.zip': 'application/zip'
+};
+
+export const getMediaContentType = (key) => {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+};
+
+const buildHeader = (userId, keyId, iv) => {
+  const userIdBytes = Buffer.from(userId);
+  const keyIdBytes = Buffer.from(keyId);
+  return Buffer.concat([
+    MAGIC,
+    Buffer.from([FORMAT_VERSION, userIdBytes.length]),
+    userIdBytes,
+    Buffer.from([keyIdBytes.length]),
+    keyIdBytes,
+    iv
+  ]);
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// { encrypted: false } for plain files, otherwise the header fields.
+// `size` is the stored size, so short files aren't asked for bytes they lack.
+const readHeader = async (key, size) => {
+  if (size < MAGIC.length + 2) {
+    return { encrypted: false };
+  }
+
+  const header = await readStream(await blobStore.createReadStream(key, {
+    start: 0,
+    end: Math.min(size, MAX_HEADER_LENGTH) - 1
+  }));
+
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return { encrypted: false };
+  }
+  if (header[MAGIC.length] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encrypted file format in ${path.basename(key)}`);
+  }
+
+  let offset = MAGIC.length + 1;
+  const userIdLength = header[offset];
+  const userId = header.subarray(offset + 1, offset + 1 + userIdLength).toString();
+  offset += 1 + userIdLength;
+  const keyIdLength = header[offset];
+  const keyId = header.subarray(offset + 1, offset + 1 + keyIdLength).toString();
+  offset += 1 + keyIdLength;
+  const iv = Buffer.from(header.subarray(offset, offset + IV_LENGTH));
+
+  return { encrypted: true, userId, keyId, iv, headerLength: offset + IV_LENGTH };
+};
+
+// Counter block for the given block index: the IV read as a 128-bit
+// big-endian integer, plus the index
+const counterAt = (iv, blockIndex) => {
+  const value = (BigInt(`0x${iv.toString('hex')}`) + BigInt(blockIndex)) % (1n << 128n);
+  return Buffer.from(value.toString(16).padStart(32, '0'), 'hex');
+};
+
+const resolveDataKey = async (header, key) => {
+  const keyring = await getUserKeyring(header.userId);
+  const dataKey = keyring?.find(header.keyId);
+  if (!dataKey) {
+    throw new Error(`Data key ${header.keyId} is not available to decrypt ${path.basename(key)}`);
+  }
+  return dataKey;
+};
+
+// Drops the first `count` bytes of a stream
+const skipBytes = (count) => {
+  let remaining = count;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (remaining >= chunk.length) {
+        remaining -= chunk.length;
+        return callback();
+      }
+      const rest = chunk.subarray(remaining);
+      remaining = 0;
+      callback(null, rest);
+    }
+  });
+};
+
+// Stored size plus encryption header, or null if there is no such file
+const inspect = async (key) => {
+  const stats = await blobStore.stat(key);
+  if (!stats) {
+    return null;
+  }
+  return { stats, header: await readHeader(key, stats.size) };
+};
+
+// Size and modification time of the audio as clients see it, or null if
+// the file doesn't exist
+export const getMediaStats = async (key) => {
+  const found = await inspect(key);
+  if (!found) {
+    return null;
+  }
+
+  const { stats, header } = found;
+  return {
+    size: header.encrypted ? stats.size - header.headerLength : stats.size,
+    mtime: stats.lastModified,
+    mtimeMs: stats.lastModified.getTime(),
+    encrypted: header.encrypted,
+    keyId: header.keyId || null
+  };
+};
+
+export const mediaExists = async (key) => {
+  return await blobStore.exists(key);
+};
+
+// Readable stream of the plain audio, optionally limited to an inclusive
+// byte range, whether or not the file is encrypted
+export const createMediaReadStream = async (key, { start, end } = {}) => {
+  const found = await inspect(key);
+  if (!found?.header.encrypted) {
+    // Missing files fail here with the store's not-found error
+    return await blobStore.createReadStream(key, { start, end });
+  }
+
+  const { header } = found;
+  const dataKey = await resolveDataKey(header, key);
+  const firstByte = start || 0;
+  const blockIndex = Math.floor(firstByte / BLOCK_SIZE);
+  const decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counterAt(header.iv, blockIndex));
+
+  const source = await blobStore.createReadStream(key, {
+    start: header.headerLength + blockIndex * BLOCK_SIZE,
+    end: end === undefined ? undefined : header.headerLength + end
+  });
+  const output = source.pipe(decipher).pipe(skipBytes(firstByte - blockIndex * BLOCK_SIZE));
+  source.on('error', error => output.destroy(error));
+  return output;
+};
+
+// Whole plain file in memory, for small files only
+export const readMediaFile = async (key) => {
+  return await readStream(await createMediaReadStream(key));
+};
+
+// The user's keys for new writes, or null when encryption is off
+const getWriteKeyring = async (userId) => {
+  const keyring = isEncryptionEnabled() ? await getUserKeyring(userId, { create: true }) : null;
+  return keyring?.current ? keyring : null;
+};
+
+// Store `size` bytes of plain audio from `source` under `key`, encrypted
+// when the keyring allows it
+const putMedia = async (key, source, size, userId, keyring) => {
+  const contentType = getMediaContentType(key);
+  if (!keyring) {
+    await blobStore.put(key, source, { contentLength: size, contentType });
+    return;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const header = buildHeader(userId, keyring.current.id, iv);
+  const body = new PassThrough();
+  body.write(header);
+  const cipher = crypto.createCipheriv('aes-256-ctr', keyring.current.key, iv);
+  source.on('error', error => body.destroy(error));
+  source.pipe(cipher).pipe(body);
+
+  await blobStore.put(key, body, { contentLength: header.length + size, contentType });
+};
+
+// Write audio held in memory for a user
+export const writeMediaFile = async (key, data, userId) => {
+  const keyring = await getWriteKeyring(userId);
+  if (!keyring) {
+    await blobStore.put(key, data, { contentType: getMediaContentType(key) });
+    return;
+  }
+  const source = new PassThrough();
+  source.end(data);
+  await putMedia(key, source, data.length, userId, keyring);
+};
+
+// Move a local file (e.g. a multer upload) into storage for a user. The
+// local file is removed once it has been stored.
+export const storeMediaFile = async (key, localPath, userId) => {
+  const keyring = await getWriteKeyring(userId);
+  const { size } = fs.statSync(localPath);
+  await putMedia(key, fs.createReadStream(localPath), size, userId, keyring);
+  fs.rmSync(localPath, { force: true });
+};
+
+// Encrypt a stored file in place with the user's current data key. Files
+// that are plain or use an older key are rewritten; returns whether
+// anything changed.
+export const encryptMediaFile = async (key, userId) => {
+  const keyring = await getWriteKeyring(userId);
+  if (!keyring) {
+    return false;
+  }
+
+  const found = await inspect(key);
+  if (!found) {
+    throw new Error(`${path.basename(key)} not found`);
+  }
+
+  const { stats, header } = found;
+  if (header.encrypted && header.userId === userId && header.keyId === keyring.current.id) {
+    return false;
+  }
+
+  const size = header.encrypted ? stats.size - header.headerLength : stats.size;
+  await putMedia(key, await createMediaReadStream(key), size, userId, keyring);
+  return true;
+};
+
+export const deleteMediaFile = async (key) => {
+  await blobStore.delete(key);
+};
+
+// Delete every stored file under a key prefix
+export const deleteMediaFiles = async (prefix) => {
+  for (const { key } of await blobStore.list(prefix)) {
+    await blobStore.delete(key);
+  }
+};
+
+// Stored files under a key prefix, e.g. `voice-samples/<userId>/`
+export const listMediaFiles = async (prefix) => {
+  return await blobStore.list(prefix);
+};
+
+// Direct download URL from the store, for files that aren't encrypted (an
+// encrypted file has to be decrypted by the app). Null for the local store.
+export const getDirectMediaUrl = async (key, expiresIn) => {
+  return await blobStore.getSignedUrl(key, { expiresIn });
+};
@@ -1,18 +1,249 @@
-import { transcribeAudio } from './speechToTextService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { transcribeAudio, AUTO_DETECT_LANGUAGE } from './speechToTextService.js';
 import { reframeText } from './reframingService.js';
 import { generateAudio } from './ttsService.js';
-import { getSession, updateSession } from './sessionService.js';
-import fs from 'fs';
-import path from 'path';
+import { getSession, updateSession, getSessionsByStatus } from './sessionService.js';
+import { getUserById } from './userService.js';
+import { registerJobHandler, enqueueJob, findPendingJobs } from './jobQueue.js';
+import { signMediaUrl } from '../utils/urlSigning.js';
+import { getRecordingKey } from '../storage/blobs.js';
+import { createKeyedLock } from '../utils/keyedLock.js';
 
-const generatedAudioDir = process.env.GENERATED_AUDIO_DIR || './uploads/generated';
+export const PROCESS_SESSION_JOB = 'process_session';
 
-// Ensure generated audio directory exists
-if (!fs.existsSync(generatedAudioDir)) {
-  fs.mkdirSync(generatedAudioDir, { recursive: true });
-}
+// Statuses a session passes through while the pipeline is running
+export const IN_FLIGHT_STATUSES = [
+  'processing',
+  'transcribing',
+  'transcribed',
+  'reframing',
+  'reframed',
+  'generating_audio'
+];
 
-export const processAudioPipeline = async (sessionId) => {
+// Retry policy per pipeline step. Whisper already retries transient
+// network errors itself, so transcription is only attempted once here.
+const STEP_RETRY_POLICY = {
+  transcribe: {
+    maxAttempts: parseInt(process.env.TRANSCRIBE_MAX_ATTEMPTS || '1', 10),
+    backoffMs: 5000
+  },
+  reframe: {
+    maxAttempts: parseInt(process.env.REFRAME_MAX_ATTEMPTS || '3', 10),
+    backoffMs: 2000
+  },
+  tts: {
+    maxAttempts: parseInt(process.env.TTS_MAX_ATTEMPTS || '3', 10),
+    backoffMs: 3000
+  }
+};
+
+// Language recordings are transcribed in when neither the session nor its
+// owner picked one: a language code, or 'auto' to detect it
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+
+// Language to transcribe a session in: the session's own choice, else its
+// owner's preference, else the default. Null means detect it.
+const resolveLanguage = (session, owner) => {
+  const language = session.language || owner?.preferredLanguage || DEFAULT_LANGUAGE;
+  return language === AUTO_DETECT_LANGUAGE ? null : language;
+};
+
+// Candidate reframes generated per run. With more than one, the pipeline
+// stops after reframing until the user picks one, so audio is only
+// generated for the reframe they chose.
+const REFRAME_VARIANTS = Math.max(1, parseInt(process.env.REFRAME_VARIANTS || '1', 10));
+
+// Reframe the transcript REFRAME_VARIANTS times. Variants that fail are left
+// out; the step only fails if none succeeds.
+const generateReframeVariants = async (transcript, options) => {
+  const results = await Promise.allSettled(
+    Array.from({ length: REFRAME_VARIANTS }, () => reframeText(transcript, options))
+  );
+  const variants = results
+    .filter(result => result.status === 'fulfilled')
+    .map(({ value }) => ({
+      id: uuidv4(),
+      text: value.text,
+      analysis: value.analysis,
+      provider: value.provider,
+      model: value.model,
+      promptVersion: value.promptVersion,
+      style: value.style,
+      createdAt: new Date().toISOString()
+    }));
+
+  if (variants.length === 0) {
+    throw results[0].reason;
+  }
+  if (variants.length < REFRAME_VARIANTS) {
+    console.warn(`⚠️ [Reframing] Only ${variants.length} of ${REFRAME_VARIANTS} reframes succeeded: ${results.find(result => result.status === 'rejected').reason.message}`);
+  }
+  return variants;
+};
+
+// Session fields of the reframe that is read aloud and shown as the result
+const selectedReframeFields = (variant) => ({
+  selectedVariantId: variant?.id || null,
+  reframedText: variant?.text || null,
+  reframeAnalysis: variant?.analysis || null,
+  reframeProvider: variant?.provider || null,
+  reframeModel: variant?.model || null,
+  reframePromptVersion: variant?.promptVersion || null,
+  reframeStyle: variant?.style || null
+});
+
+// Whether the session has several reframes and the user hasn't picked one,
+// so no audio can be generated yet
+export const needsVariantSelection = (session) => {
+  return (session.reframeVariants?.length || 0) > 1 && !session.selectedVariantId;
+};
+
+// Pipeline steps in execution order, and the session field each one produces
+export const PIPELINE_STEPS = ['transcribe', 'reframe', 'tts'];
+
+const STEP_OUTPUT_FIELDS = {
+  transcribe: 'transcript',
+  reframe: 'reframedText',
+  tts: 'generatedAudioUrl'
+};
+
+const isStepComplete = (session, stepName) => {
+  const record = session.steps?.[stepName];
+  if (record) {
+    return record.status === 'completed';
+  }
+  // Sessions processed before step tracking only have the step outputs
+  return Boolean(session[STEP_OUTPUT_FIELDS[stepName]]);
+};
+
+export const getFirstIncompleteStep = (session) => {
+  return PIPELINE_STEPS.find(stepName => !isStepComplete(session, stepName)) || null;
+};
+
+// Work out which step a run should start from. Without a requested step the
+// run resumes at the first incomplete step. A requested step may not skip
+// past a step that has not completed yet, since its output is needed.
+export const resolveStartStep = (session, requestedStep) => {
+  const firstIncomplete = getFirstIncompleteStep(session);
+
+  if (!requestedStep) {
+    return firstIncomplete;
+  }
+
+  if (!PIPELINE_STEPS.includes(requestedStep)) {
+    const error = new Error(`Invalid step. Must be one of: ${PIPELINE_STEPS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (firstIncomplete && PIPELINE_STEPS.indexOf(requestedStep) > PIPELINE_STEPS.indexOf(firstIncomplete)) {
+    const error = new Error(`Cannot start from '${requestedStep}' because '${firstIncomplete}' has not completed`);
+    error.status = 400;
+    throw error;
+  }
+
+  return requestedStep;
+};
+
+// Session fields to reset when a new recording is uploaded: every step has
+// to run again, and nothing produced from the previous recording is kept
+export const resetForNewRecording = () => ({
+  steps: Object.fromEntries(PIPELINE_STEPS.map(stepName => [stepName, { status: 'pending', attempts: 0 }])),
+  transcript: null,
+  transcriptSegments: null,
+  detectedLanguage: null,
+  reframeVariants: null,
+  ...selectedReframeFields(null),
+  generatedAudioUrl: null,
+  reframedAlignment: null,
+  affirmationAudioUrl: null,
+  error: null
+});
+
+// Merge changes into one step record, optionally with other session updates.
+// `changes` may be a function of the current step record.
+const updateStep = async (sessionId, stepName, changes, sessionUpdates = {}) => {
+  return await updateSession(sessionId, (session) => {
+    const steps = session.steps || {};
+    const current = steps[stepName] || { status: 'pending', attempts: 0 };
+    const stepChanges = typeof changes === 'function' ? changes(current) : changes;
+
+    return {
+      ...sessionUpdates,
+      steps: {
+        ...steps,
+        [stepName]: { ...current, ...stepChanges }
+      }
+    };
+  });
+};
+
+// Mark a session as failed, unless it has already moved on: a late failure
+// must not overwrite a completed result
+const failSession = async (sessionId, message) => {
+  try {
+    await updateSession(sessionId, { status: 'error', error: message });
+  } catch (error) {
+    if (error.code !== 'INVALID_STATUS_TRANSITION') {
+      throw error;
+    }
+    console.warn(`[${sessionId}] Not marking as error: ${error.message}`);
+  }
+};
+
+// Run one pipeline step with its retry policy, recording status, attempt
+// count and timing on the session
+const runStep = async (sessionId, stepName, status, fn) => {
+  const { maxAttempts, backoffMs } = STEP_RETRY_POLICY[stepName];
+  const startedAt = Date.now();
+  let lastError = null;
+
+  await updateStep(sessionId, stepName, {
+    status: 'running',
+    startedAt: new Date(startedAt).toISOString(),
+    completedAt: null,
+    durationMs: null,
+    error: null
+  }, { status });
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    await updateStep(sessionId, stepName, (current) => ({
+      attempts: (current.attempts || 0) + 1
+    }));
+
+    try {
+      const result = await fn();
+      await updateStep(sessionId, stepName, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt
+      });
+      return result;
+    } catch (error) {
+      lastError = error;
+      // Some failures (e.g. an unsupported recording) would only fail again
+      if (error.retryable === false) {
+        break;
+      }
+      if (attempt < maxAttempts) {
+        const waitTime = backoffMs * attempt;
+        console.warn(`[${sessionId}] ${stepName} attempt ${attempt}/${maxAttempts} failed: ${error.message}. Retrying in ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  await updateStep(sessionId, stepName, {
+    status: 'failed',
+    completedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    error: lastError.message
+  });
+  throw lastError;
+};
+
+export const processAudioPipeline = async (sessionId, options = {}) => {
   try {
     const session = await getSession(sessionId);
     
@@ -20,32 +251,112 @@ export const processAudioPipeline = async (sessionId) => {
       throw new Error('Session or audio files not found');
     }
 
+    const fromStep = options.fromStep || PIPELINE_STEPS[0];
+    const startIndex = PIPELINE_STEPS.indexOf(fromStep);
+    if (startIndex === -1) {
+      throw new Error(`Unknown pipeline step: ${fromStep}`);
+    }
+    const shouldRun = (stepName) => PIPELINE_STEPS.indexOf(stepName) >= startIndex;
+
+    // Steps from the starting point onwards are run again
+    await updateSession(sessionId, (current) => {
+      const steps = { ...(current.steps || {}) };
+      for (const stepName of PIPELINE_STEPS.slice(startIndex)) {
+        steps[stepName] = { ...(steps[stepName] || { attempts: 0 }), status: 'pending', error: null };
+      }
+      return { steps };
+    });
+
+    const owner = session.userId ? await getUserById(session.userId) : null;
+
     // Use the most recently uploaded audio file
     const audioFile = session.audioFiles[session.audioFiles.length - 1];
-    const audioPath = audioFile.path;
+    const audioKey = getRecordingKey(sessionId, audioFile);
 
     // Step 1: Speech-to-Text
-    console.log(`[${sessionId}] Starting transcription...`);
-    await updateSession(sessionId, { status: 'transcribing' });
-    const transcript = await transcribeAudio(audioPath);
-    await updateSession(sessionId, { transcript, status: 'transcribed' });
-    console.log(`[${sessionId}] Transcription complete`);
+    let transcript = session.transcript;
+    // Language the speaker used; later steps reply in it
+    let detectedLanguage = session.detectedLanguage || null;
+    if (shouldRun('transcribe')) {
+      if (audioFile.deletedAt) {
+        throw new Error('The recording for this session has been deleted');
+      }
+      const language = resolveLanguage(session, owner);
+      console.log(`[${sessionId}] Starting transcription (${language || 'detecting language'})...`);
+      const transcription = await runStep(sessionId, 'transcribe', 'transcribing', () => transcribeAudio(audioKey, {
+        language,
+        // Long recordings are transcribed in chunks; record how far along they are
+        onProgress: (chunks) => updateStep(sessionId, 'transcribe', { chunks })
+      }));
+      transcript = transcription.text;
+      detectedLanguage = transcription.language;
+      await updateSession(sessionId, {
+        transcript,
+        transcriptSegments: transcription.segments,
+        detectedLanguage,
+        status: 'transcribed'
+      });
+      console.log(`[${sessionId}] Transcription complete (${detectedLanguage || 'unknown language'})`);
+    } else {
+      console.log(`[${sessionId}] Skipping transcription, using stored transcript`);
+    }
 
     // Step 2: AI Reframing
-    console.log(`[${sessionId}] Starting reframing...`);
-    await updateSession(sessionId, { status: 'reframing' });
-    const reframedText = await reframeText(transcript);
-    await updateSession(sessionId, { reframedText, status: 'reframed' });
-    console.log(`[${sessionId}] Reframing complete`);
+    let reframedText = session.reframedText;
+    let reframeAnalysis = session.reframeAnalysis;
+    let awaitingSelection = needsVariantSelection(session);
+    if (shouldRun('reframe')) {
+      console.log(`[${sessionId}] Starting reframing...`);
+      // The session's own style, else its owner's default
+      const style = session.style || owner?.reframingStyle || null;
+      const variants = await runStep(sessionId, 'reframe', 'reframing', () => generateReframeVariants(transcript, {
+        language: detectedLanguage,
+        name: owner?.name,
+        style
+      }));
+      // A single reframe is used as it is
+      const selected = variants.length === 1 ? variants[0] : null;
+      reframedText = selected?.text || null;
+      reframeAnalysis = selected?.analysis || null;
+      awaitingSelection = !selected;
+      await updateSession(sessionId, {
+        reframeVariants: variants,
+        ...selectedReframeFields(selected),
+        // Audio of an earlier reframe no longer matches
+        generatedAudioUrl: null,
+        reframedAlignment: null,
+        affirmationAudioUrl: null,
+        status: selected ? 'reframed' : 'awaiting_selection'
+      });
+      console.log(`[${sessionId}] Reframing complete (${variants.map(variant => `${variant.provider}, ${variant.model}`).join('; ')}, prompt ${variants[0].promptVersion})`);
+    } else {
+      console.log(`[${sessionId}] Skipping reframing, using stored reframe`);
+    }
+
+    // Audio is only generated once the user has picked a reframe
+    if (awaitingSelection) {
+      await updateSession(sessionId, { status: 'awaiting_selection' });
+      console.log(`[${sessionId}] Waiting for the user to choose a reframe`);
+      return { transcript, reframedText: null, generatedAudioUrl: null, affirmationAudioUrl: null };
+    }
 
     // Step 3: Text-to-Speech (Voice Cloning) - Optional
+    // Speaks the reframe, and the affirmation as a track of its own
     // If TTS fails, we still mark as completed since transcript and reframe are ready
     let generatedAudioUrl = null;
+    let reframedAlignment = null;
+    let affirmationAudioUrl = null;
     try {
       console.log(`[${sessionId}] Starting TTS generation...`);
-      await updateSession(sessionId, { status: 'generating_audio' });
-      const audioFilename = await generateAudio(reframedText, sessionId, session.userId);
-      generatedAudioUrl = `/uploads/${audioFilename}`;
+      const [speech, affirmation] = await runStep(sessionId, 'tts', 'generating_audio', () => Promise.all([
+        generateAudio(reframedText, sessionId, session.userId),
+        reframeAnalysis?.affirmation
+          ? generateAudio(reframeAnalysis.affirmation, sessionId, session.userId, 'affirmation')
+          : null
+      ]));
+      generatedAudioUrl = `/uploads/${speech.filename}`;
+      reframedAlignment = speech.alignment;
+      affirmationAudioUrl = affirmation ? `/uploads/${affirmation.filename}` : null;
       console.log(`[${sessionId}] Audio generation complete`);
     } catch (ttsError) {
       console.warn(`[${sessionId}] TTS generation failed (non-critical):`, ttsError.message);
@@ -59,21 +370,105 @@ export const processAudioPipeline = async (sessionId) => {
     // Mark as completed even if TTS failed
     await updateSession(sessionId, { 
       generatedAudioUrl, 
+      reframedAlignment,
+      affirmationAudioUrl,
       status: 'completed' 
     });
 
     return {
       transcript,
       reframedText,
-      generatedAudioUrl
+      generatedAudioUrl: signMediaUrl(generatedAudioUrl),
+      affirmationAudioUrl: signMediaUrl(affirmationAudioUrl)
     };
   } catch (error) {
     console.error(`[${sessionId}] Pipeline error:`, error);
-    await updateSession(sessionId, {
-      status: 'error',
-      error: error.message
-    });
+    await failSession(sessionId, error.message);
     throw error;
   }
 };
 
+// Held by requests that start a run for a session, from checking that no run
+// is pending until the job is queued
+export const withProcessingLock = createKeyedLock();
+
+// Queue the pipeline for a session. The job survives server restarts.
+export const enqueueProcessing = async (sessionId, fromStep = PIPELINE_STEPS[0]) => {
+  return await enqueueJob(PROCESS_SESSION_JOB, { sessionId, fromStep });
+};
+
+// Make one of a session's reframes the result and queue audio generation
+// for it. Only while the session is waiting for a choice, so a reframe of
+// an earlier recording can't be chosen once a new one has been uploaded.
+export const selectReframeVariant = async (sessionId, variant) => {
+  await updateSession(sessionId, (current) => {
+    const selectable = current.status === 'awaiting_selection'
+      && current.reframeVariants?.some(candidate => candidate.id === variant.id);
+    if (!selectable) {
+      const error = new Error('The session is not waiting for this reframe to be chosen');
+      error.status = 409;
+      error.code = 'REFRAME_NOT_SELECTABLE';
+      throw error;
+    }
+    return {
+      ...selectedReframeFields(variant),
+      generatedAudioUrl: null,
+      reframedAlignment: null,
+      affirmationAudioUrl: null,
+      status: 'processing',
+      error: null
+    };
+  });
+  console.log(`[${sessionId}] Reframe ${variant.id} chosen`);
+  return await enqueueProcessing(sessionId, 'tts');
+};
+
+export const hasPendingProcessing = (sessionId) => {
+  return findPendingJobs(PROCESS_SESSION_JOB, payload => payload.sessionId === sessionId).length > 0;
+};
+
+registerJobHandler(
+  PROCESS_SESSION_JOB,
+  async ({ sessionId, fromStep }, job) => {
+    // A job interrupted by a restart resumes from the first step that did
+    // not finish instead of paying for the completed steps again
+    let startStep = fromStep;
+    if (job.attempts > 1) {
+      const session = await getSession(sessionId);
+      if (session) {
+        startStep = getFirstIncompleteStep(session);
+        if (!startStep) {
+          await updateSession(sessionId, { status: 'completed' });
+          return;
+        }
+      }
+    }
+
+    await processAudioPipeline(sessionId, { fromStep: startStep });
+  },
+  {
+    onAbandoned: async ({ sessionId }) => {
+      await failSession(sessionId, 'Processing was interrupted repeatedly. Please try again.');
+    }
+  }
+);
+
+// Run at boot, after interrupted jobs have been requeued. Any session that is
+// still in an in-flight status without a pending job would otherwise never
+// leave that status, so fail it and let the client start processing again.
+export const recoverInterruptedSessions = async () => {
+  const sessions = await getSessionsByStatus(IN_FLIGHT_STATUSES);
+  let failed = 0;
+
+  for (const session of sessions) {
+    if (hasPendingProcessing(session.id)) {
+      continue;
+    }
+
+    console.warn(`⚠️ [Processing] Session ${session.id} was left in '${session.status}', marking as error`);
+    await failSession(session.id, 'Processing was interrupted. Please try again.');
+    failed += 1;
+  }
+
+  return failed;
+};
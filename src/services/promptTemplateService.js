@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomic } from '../utils/atomicFile.js';
+
+// Reframing prompts are versioned templates, so their wording can change
+// without a deploy. Versions are never edited: a change is a new version,
+// and the session records which version reframed it.
+//
+// Built-in templates ship in src/prompts/reframing/ as `v<N>.txt`. Versions
+// added through the admin API are written to PROMPT_TEMPLATES_DIR as
+// `custom-<N>.txt`, where template files can also be dropped in by hand.
+// The two are numbered separately, so a new built-in version can never take
+// the name of one an admin created. Each file looks like:
+//
+//   description: What this version changes
+//   tone: warm and encouraging        <- defaults for the variables
+//   length: a few sentences
+//
+//   === system ===
+//   ...
+//   === user ===
+//   ...
+//
+// Both parts may use {{variable}}, {{#variable}}...{{/variable}} for text
+// that is only included when the variable has a value, and
+// {{^variable}}...{{/variable}} for text included when it has none.
+
+const builtInDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../prompts/reframing');
+const templatesDir = process.env.PROMPT_TEMPLATES_DIR || './data/prompt-templates';
+const activePath = path.join(templatesDir, 'active.json');
+
+// Ensure prompt templates directory exists
+if (!fs.existsSync(templatesDir)) {
+  fs.mkdirSync(templatesDir, { recursive: true });
+}
+
+// `name` is the user's name, `language` the name of the language the thought
+// is in, `style` the instructions of the chosen reframing style, and
+// `transcript` the thought itself
+export const TEMPLATE_VARIABLES = ['name', 'language', 'style', 'tone', 'length', 'transcript'];
+
+const BUILT_IN_FILE = /^v(\d+)\.txt$/;
+const CUSTOM_FILE = /^custom-(\d+)\.txt$/;
+const CUSTOM_PREFIX = 'custom-';
+const SECTION_HEADER = /^=== (system|user) ===$/m;
+
+const invalidTemplate = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Problems with a template's parts, or null if it can be used
+const templateProblem = ({ system, user }) => {
+  for (const [part, text] of Object.entries({ system, user })) {
+    if (!text?.trim()) {
+      return `The ${part} prompt is empty`;
+    }
+    const open = [];
+    for (const [tag, kind, variable] of text.matchAll(/\{\{([#^/]?)([^}]*)\}\}/g)) {
+      if (!TEMPLATE_VARIABLES.includes(variable)) {
+        return `Unknown variable ${tag} in the ${part} prompt. Use ${TEMPLATE_VARIABLES.join(', ')}.`;
+      }
+      if (kind === '#' || kind === '^') {
+        open.push({ tag, variable });
+      } else if (kind === '/' && open.pop()?.variable !== variable) {
+        return `Unmatched ${tag} in the ${part} prompt`;
+      }
+    }
+    if (open.length > 0) {
+      return `Unclosed ${open.pop().tag} in the ${part} prompt`;
+    }
+  }
+  if (!user.includes('{{transcript}}')) {
+    return 'The user prompt must include {{transcript}}';
+  }
+  return null;
+};
+
+const parseTemplate = (version, source) => {
+  const [header, ...parts] = source.replace(/\r\n/g, '\n').split(SECTION_HEADER);
+  const sections = {};
+  for (let index = 0; index < parts.length; index += 2) {
+    sections[parts[index]] = parts[index + 1].trim();
+  }
+
+  const fields = {};
+  for (const line of header.split('\n')) {
+    const match = line.match(/^(\w+):\s*(.*)$/);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    }
+  }
+  const { description = '', createdAt = null, createdBy = null, ...defaults } = fields;
+
+  return {
+    version,
+    description,
+    defaults,
+    createdAt,
+    createdBy,
+    system: sections.system || '',
+    user: sections.user || ''
+  };
+};
+
+const formatTemplate = ({ description, defaults, createdAt, createdBy, system, user }) => {
+  const header = Object.entries({ description, createdAt, createdBy, ...defaults })
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${String(value).replace(/\s+/g, ' ')}`);
+  return `${header.join('\n')}\n\n=== system ===\n${system.trim()}\n\n=== user ===\n${user.trim()}\n`;
+};
+
+const versionNumber = (version) => parseInt(version.match(/\d+$/)[0], 10);
+
+// Template files in a directory, by version
+const readTemplates = (dir, builtIn) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = fs.readdirSync(dir);
+  if (!builtIn) {
+    for (const file of files.filter(file => BUILT_IN_FILE.test(file))) {
+      console.warn(`⚠️ [Prompts] Ignoring ${path.join(dir, file)}: v<N> versions are reserved for built-in templates, name it ${CUSTOM_PREFIX}<N>.txt`);
+    }
+  }
+  return files
+    .filter(file => (builtIn ? BUILT_IN_FILE : CUSTOM_FILE).test(file))
+    .flatMap((file) => {
+      const version = path.basename(file, '.txt');
+      const template = parseTemplate(version, fs.readFileSync(path.join(dir, file), 'utf8'));
+      const problem = templateProblem(template);
+      if (problem) {
+        console.warn(`⚠️ [Prompts] Ignoring ${path.join(dir, file)}: ${problem}`);
+        return [];
+      }
+      return [{ ...template, builtIn }];
+    });
+};
+
+// Every usable template: built-in versions, then custom ones, oldest first
+// within each. Files are read on every call, so templates added or
+// activated by another server are picked up too.
+const loadTemplates = () => {
+  const byNumber = (a, b) => versionNumber(a.version) - versionNumber(b.version);
+  return [
+    ...readTemplates(builtInDir, true).sort(byNumber),
+    ...readTemplates(templatesDir, false).sort(byNumber)
+  ];
+};
+
+// Which version was activated, or null if none was. A file that can't be
+// read counts as none, so reframing keeps working on the default.
+const readActivation = () => {
+  if (!fs.existsSync(activePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(activePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ [Prompts] Could not read ${activePath} (${error.message}), using the newest built-in template`);
+    return null;
+  }
+};
+
+// The activated template, or the newest built-in one if none has been
+// activated (or the activated file has been removed or can't be read)
+const findActiveTemplate = (templates) => {
+  const activation = readActivation();
+  const active = activation && templates.find(template => template.version === activation.version);
+  if (activation && !active) {
+    console.warn(`⚠️ [Prompts] Active template ${activation.version} not found, using the newest built-in template`);
+  }
+  return active || templates.filter(template => template.builtIn).pop();
+};
+
+export const listTemplates = async () => {
+  const templates = loadTemplates();
+  const active = findActiveTemplate(templates);
+  return templates.map(template => ({ ...template, active: template === active }));
+};
+
+export const getTemplate = async (version) => {
+  return (await listTemplates()).find(template => template.version === version) || null;
+};
+
+export const getActiveTemplate = async () => {
+  return findActiveTemplate(loadTemplates());
+};
+
+// Save a new custom version after the newest one. It isn't used until
+// activated.
+export const createTemplate = async ({ description = '', defaults = {}, system, user }, createdBy) => {
+  const problem = templateProblem({ system, user });
+  if (problem) {
+    throw invalidTemplate(problem);
+  }
+  const unknownDefault = Object.keys(defaults).find(name => !['tone', 'length'].includes(name));
+  if (unknownDefault) {
+    throw invalidTemplate(`No default can be set for ${unknownDefault}`);
+  }
+
+  const template = { description, defaults, createdAt: new Date().toISOString(), createdBy, system, user };
+  const customVersions = loadTemplates().filter(existing => !existing.builtIn);
+  let number = Math.max(0, ...customVersions.map(existing => versionNumber(existing.version))) + 1;
+
+  // Another server may take the same number first
+  while (true) {
+    try {
+      fs.writeFileSync(path.join(templatesDir, `${CUSTOM_PREFIX}${number}.txt`), formatTemplate(template), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      number += 1;
+    }
+  }
+
+  const version = `${CUSTOM_PREFIX}${number}`;
+  console.log(`📝 [Prompts] Created template ${version}${createdBy ? ` (${createdBy})` : ''}`);
+  return await getTemplate(version);
+};
+
+// Use a version for every reframe from now on. Returns null if it doesn't exist.
+export const activateTemplate = async (version, activatedBy) => {
+  const template = await getTemplate(version);
+  if (!template) {
+    return null;
+  }
+
+  writeJsonAtomic(activePath, { version, activatedAt: new Date().toISOString(), activatedBy });
+  console.log(`📝 [Prompts] Activated template ${version}${activatedBy ? ` (${activatedBy})` : ''}`);
+  return { ...template, active: true };
+};
+
+const SECTION = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+const renderPart = (text, values) => {
+  let rendered = text;
+  let previous;
+  // Outer sections first, then the ones inside them on the next pass
+  do {
+    previous = rendered;
+    rendered = rendered.replace(SECTION, (match, kind, variable, content) => (Boolean(values[variable]) === (kind === '#') ? content : ''));
+  } while (rendered !== previous);
+
+  return rendered
+    .replace(/\{\{(\w+)\}\}/g, (match, variable) => values[variable] ?? '')
+    // Lines left empty by a missing variable
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// { system, user } prompts of a template. Variables without a value fall
+// back to the template's defaults.
+export const renderTemplate = (template, variables) => {
+  const values = { ...template.defaults };
+  for (const [name, value] of Object.entries(variables)) {
+    if (value) {
+      values[name] = value;
+    }
+  }
+  return {
+    system: renderPart(template.system, values),
+    user: renderPart(template.user, values)
+  };
+};
@@ -0,0 +1,27 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+// Anthropic's Claude models
+
+export const createAnthropicProvider = ({ apiKey, model, timeout, maxRetries }) => {
+  const client = apiKey ? new Anthropic({ apiKey, timeout, maxRetries }) : null;
+
+  return {
+    name: 'anthropic',
+    model,
+
+    reframe: async ({ system, messages }) => {
+      if (!client) {
+        throw new Error('Anthropic API key not configured');
+      }
+
+      const message = await client.messages.create({
+        model,
+        max_tokens: 1000,
+        system,
+        messages
+      });
+
+      return message.content.find(block => block.type === 'text')?.text || '';
+    }
+  };
+};
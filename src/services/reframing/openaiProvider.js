@@ -0,0 +1,43 @@
+import OpenAI from 'openai';
+
+// OpenAI's chat completions API, or any server that speaks it: Ollama
+// (http://host:11434/v1) and the llama.cpp server (http://host:8080/v1) do,
+// so local models use this provider with a `baseURL`.
+
+export const createOpenAIProvider = ({ name = 'openai', apiKey, baseURL, model, timeout, maxRetries }) => {
+  const client = apiKey || baseURL
+    ? new OpenAI({
+      // The SDK insists on a key; local servers ignore it
+      apiKey: apiKey || 'not-needed',
+      baseURL,
+      timeout,
+      maxRetries
+    })
+    : null;
+
+  return {
+    name,
+    model,
+
+    reframe: async ({ system, messages }) => {
+      if (!client) {
+        throw new Error('OpenAI API key not configured');
+      }
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: system
+          },
+          ...messages
+        ],
+        temperature: 0.7,
+        max_tokens: 1000
+      });
+
+      return response.choices[0]?.message?.content || '';
+    }
+  };
+};
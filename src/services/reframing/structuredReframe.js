@@ -0,0 +1,84 @@
+import { COGNITIVE_DISTORTION_IDS } from '../cognitiveDistortions.js';
+
+// Reframes are returned as a JSON object, so the app can show which
+// thinking traps were spotted and why the thought was reframed:
+//   distortions   ids from COGNITIVE_DISTORTIONS, possibly none
+//   explanation   why the thought was reframed this way
+//   evidence      points that balance the original thought
+//   reframe       the reframe itself
+//   affirmation   one line the user can say to themselves
+
+const MAX_EVIDENCE = 5;
+const MAX_FIELD_LENGTH = 2000;
+
+// Added after the template's system prompt. Templates are edited by admins,
+// but the format has to match what the parser expects.
+export const OUTPUT_INSTRUCTIONS = `Reply with only a JSON object, with no text or code fences around it, whatever you were told about the format before. It must have exactly these fields:
+- "distortions": an array of the thinking traps in the thought, from ${COGNITIVE_DISTORTION_IDS.map(id => `"${id}"`).join(', ')}. Use an empty array if there are none.
+- "explanation": one or two sentences on why the thought was reframed this way, addressed to the person.
+- "evidence": an array of up to ${MAX_EVIDENCE} short points that balance the original thought.
+- "reframe": the reframe itself, written as instructed above.
+- "affirmation": a single short line the person can say to themselves.
+Write every text field in the language of the reframe.`;
+
+const invalidReframe = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_REFRAME';
+  return error;
+};
+
+// The JSON object in a reply, which models sometimes wrap in a code fence or
+// a sentence despite being told not to
+const extractJson = (reply) => {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw invalidReframe('The reply is not a JSON object');
+  }
+  try {
+    return JSON.parse(reply.slice(start, end + 1));
+  } catch (error) {
+    throw invalidReframe(`The reply is not valid JSON (${error.message})`);
+  }
+};
+
+const requireText = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw invalidReframe(`"${field}" must be a non-empty string`);
+  }
+  if (value.length > MAX_FIELD_LENGTH) {
+    throw invalidReframe(`"${field}" is longer than ${MAX_FIELD_LENGTH} characters`);
+  }
+  return value.trim();
+};
+
+// "All-or-nothing" -> "all_or_nothing"
+const distortionId = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// The structured reframe in a model's reply. Throws an INVALID_REFRAME error
+// describing what is wrong, which is sent back to the model to fix.
+export const parseStructuredReframe = (reply) => {
+  const data = extractJson(reply);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw invalidReframe('The reply is not a JSON object');
+  }
+
+  if (!Array.isArray(data.distortions)) {
+    throw invalidReframe('"distortions" must be an array');
+  }
+  if (!Array.isArray(data.evidence) || data.evidence.some(point => typeof point !== 'string')) {
+    throw invalidReframe('"evidence" must be an array of strings');
+  }
+
+  // Traps outside the list can't be explained by the app, so they are left out
+  const distortions = [...new Set(data.distortions.map(distortionId))]
+    .filter(id => COGNITIVE_DISTORTION_IDS.includes(id));
+
+  return {
+    distortions,
+    explanation: requireText(data.explanation, 'explanation'),
+    evidence: data.evidence.map(point => point.trim()).filter(Boolean).slice(0, MAX_EVIDENCE),
+    reframe: requireText(data.reframe, 'reframe'),
+    affirmation: requireText(data.affirmation, 'affirmation').replace(/\s*\n\s*/g, ' ')
+  };
+};
@@ -1,86 +1,169 @@
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
+import { createOpenAIProvider } from './reframing/openaiProvider.js';
+import { createAnthropicProvider } from './reframing/anthropicProvider.js';
+import { getActiveTemplate, renderTemplate } from './promptTemplateService.js';
+import { getReframingStyle } from './reframingStyles.js';
+import { OUTPUT_INSTRUCTIONS, parseStructuredReframe } from './reframing/structuredReframe.js';
 
-const useAnthropic = process.env.USE_ANTHROPIC_FOR_REFRAMING === 'true';
+// Reframing providers, tried in the order of REFRAMING_PROVIDERS until one
+// succeeds:
+//   openai     OpenAI chat models (OPENAI_REFRAMING_MODEL)
+//   anthropic  Claude (ANTHROPIC_REFRAMING_MODEL)
+//   local      an OpenAI-compatible server such as Ollama or llama.cpp
+//              (LOCAL_REFRAMING_URL, LOCAL_REFRAMING_MODEL)
+//
+// Every provider has the same shape:
+//   name
+//   model
+//   reframe({ system, messages })   the model's reply to the conversation
+// `messages` are [{ role: 'user' | 'assistant', content }].
+// Providers retry rate limits and connection errors themselves, up to
+// <NAME>_REFRAMING_MAX_RETRIES times, and give up on a request after
+// <NAME>_REFRAMING_TIMEOUT_SECONDS. Both default to the REFRAMING_ values,
+// except that local models get 300 seconds.
 
-let openaiClient = null;
-let anthropicClient = null;
+const DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.REFRAMING_TIMEOUT_SECONDS || '60', 10);
+const DEFAULT_MAX_RETRIES = parseInt(process.env.REFRAMING_MAX_RETRIES || '1', 10);
+// Times a provider is asked to fix a reply that isn't a valid reframe before
+// the next provider is tried
+const REPAIR_ATTEMPTS = parseInt(process.env.REFRAMING_REPAIR_ATTEMPTS || '1', 10);
 
-if (!useAnthropic && process.env.OPENAI_API_KEY) {
-  openaiClient = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-}
-
-if (useAnthropic && process.env.ANTHROPIC_API_KEY) {
-  anthropicClient = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-  });
-}
+const requestSettings = (prefix, defaultTimeoutSeconds = DEFAULT_TIMEOUT_SECONDS) => ({
+  timeout: parseInt(process.env[`${prefix}_REFRAMING_TIMEOUT_SECONDS`] || defaultTimeoutSeconds, 10) * 1000,
+  maxRetries: parseInt(process.env[`${prefix}_REFRAMING_MAX_RETRIES`] || DEFAULT_MAX_RETRIES, 10)
+});
 
-export const reframeText = async (transcript) => {
-  if (useAnthropic) {
-    return await reframeWithAnthropic(transcript);
-  } else {
-    return await reframeWithOpenAI(transcript);
+const providers = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_REFRAMING_MODEL || 'gpt-4',
+    ...requestSettings('OPENAI')
+  }),
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_REFRAMING_MODEL || 'claude-3-opus-20240229',
+    ...requestSettings('ANTHROPIC')
+  }),
+  local: () => {
+    if (!process.env.LOCAL_REFRAMING_URL) {
+      throw new Error('LOCAL_REFRAMING_URL is required when REFRAMING_PROVIDERS includes local');
+    }
+    return createOpenAIProvider({
+      name: 'local',
+      apiKey: process.env.LOCAL_REFRAMING_API_KEY,
+      baseURL: process.env.LOCAL_REFRAMING_URL,
+      model: process.env.LOCAL_REFRAMING_MODEL || 'llama3.1',
+      // Models on our own hardware can be much slower
+      ...requestSettings('LOCAL', 300)
+    });
   }
 };
 
-const reframeWithOpenAI = async (transcript) => {
-  if (!openaiClient) {
-    throw new Error('OpenAI API key not configured');
+// USE_ANTHROPIC_FOR_REFRAMING predates the chain and still picks Claude alone
+const providerNames = (process.env.REFRAMING_PROVIDERS
+  || (process.env.USE_ANTHROPIC_FOR_REFRAMING === 'true' ? 'anthropic' : 'openai'))
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+for (const name of providerNames) {
+  if (!providers[name]) {
+    throw new Error(`Unknown reframing provider in REFRAMING_PROVIDERS: ${name}. Use ${Object.keys(providers).join(', ')}.`);
   }
+}
 
-  try {
-    const response = await openaiClient.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a helpful assistant that reframes negative or unhelpful thoughts into more positive, constructive, and empowering perspectives. 
-          Your goal is to help people see situations from a different, more helpful angle while maintaining authenticity and not being overly dismissive of their feelings.
-          Return only the reframed text, without additional commentary or explanation.`
-        },
-        {
-          role: 'user',
-          content: `Please reframe the following thought in a more positive and constructive way:\n\n"${transcript}"`
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 500
-    });
+const chain = providerNames.map(name => providers[name]());
+console.log(`🧠 [Reframing] Reframing with ${chain.map(provider => `${provider.name} (${provider.model})`).join(', then ')}`);
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
 
-    return response.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('OpenAI reframing error:', error);
-    throw new Error(`Reframing failed: ${error.message}`);
+// English name of a language code ("es" -> "Spanish"), or the code itself
+const languageName = (language) => {
+  try {
+    return languageNames.of(language) || language;
+  } catch {
+    return language;
   }
 };
 
-const reframeWithAnthropic = async (transcript) => {
-  if (!anthropicClient) {
-    throw new Error('Anthropic API key not configured');
+// Id of the reframing style a prompt is written in: `style` if it exists
+const appliedStyle = (style) => {
+  return style && getReframingStyle(style) ? style : null;
+};
+
+// { system, user } prompts for a thought. `language` is the code of the
+// language it was spoken in, `name` the user's name, `style` the id of a
+// reframing style, and `tone` and `length` override the template's defaults.
+// Templates that don't place the style themselves (such as v1) get its
+// instructions after the system prompt, so a chosen style is never dropped.
+export const buildReframingPrompt = (template, transcript, { language = null, name = null, style = null, tone = null, length = null } = {}) => {
+  const styleInstructions = appliedStyle(style) ? getReframingStyle(style).instructions : null;
+  const prompt = renderTemplate(template, {
+    transcript,
+    language: language && languageName(language),
+    name,
+    style: styleInstructions,
+    tone,
+    length
+  });
+
+  const placesStyle = /\{\{[#^]?style\}\}/.test(`${template.system}\n${template.user}`);
+  if (styleInstructions && !placesStyle) {
+    prompt.system = `${prompt.system}\n\n${styleInstructions}`;
   }
+  return prompt;
+};
 
-  try {
-    const message = await anthropicClient.messages.create({
-      model: 'claude-3-opus-20240229', // or 'claude-3-sonnet-20240229' for faster/cheaper
-      max_tokens: 500,
-      system: `You are a helpful assistant that reframes negative or unhelpful thoughts into more positive, constructive, and empowering perspectives. 
-      Your goal is to help people see situations from a different, more helpful angle while maintaining authenticity and not being overly dismissive of their feelings.
-      Return only the reframed text, without additional commentary or explanation.`,
-      messages: [
-        {
-          role: 'user',
-          content: `Please reframe the following thought in a more positive and constructive way:\n\n"${transcript}"`
-        }
-      ]
-    });
+// Ask one provider for a structured reframe. A reply that doesn't parse is
+// sent back with what is wrong with it, up to REPAIR_ATTEMPTS times.
+const requestStructuredReframe = async (provider, prompt) => {
+  const system = `${prompt.system}\n\n${OUTPUT_INSTRUCTIONS}`;
+  const messages = [{ role: 'user', content: prompt.user }];
 
-    return message.content[0].text.trim();
-  } catch (error) {
-    console.error('Anthropic reframing error:', error);
-    throw new Error(`Reframing failed: ${error.message}`);
+  for (let attempt = 0; ; attempt++) {
+    const reply = await provider.reframe({ system, messages });
+    try {
+      return parseStructuredReframe(reply);
+    } catch (error) {
+      if (error.code !== 'INVALID_REFRAME' || attempt >= REPAIR_ATTEMPTS) {
+        throw error;
+      }
+      console.warn(`⚠️ [Reframing] ${provider.name} (${provider.model}) returned an invalid reframe (${error.message}), asking it to fix it`);
+      messages.push(
+        { role: 'assistant', content: reply || '(empty reply)' },
+        { role: 'user', content: `That reply can't be used (${error.message}). Reply again with only the JSON object, in the format described.` }
+      );
+    }
   }
 };
 
+// Reframe a thought with the active prompt template, or `template` if given.
+// The reframe is written in the thought's language, when known. Resolves to
+// { text, analysis, provider, model, promptVersion, style }: the reframe,
+// what was found in the thought ({ distortions, explanation, evidence,
+// affirmation }), the provider that wrote it, the template version it was
+// asked with and the style it was written in.
+export const reframeText = async (transcript, { template = null, ...variables } = {}) => {
+  const promptTemplate = template || await getActiveTemplate();
+  const prompt = buildReframingPrompt(promptTemplate, transcript, variables);
+  const failures = [];
+
+  for (const [index, provider] of chain.entries()) {
+    try {
+      const { reframe, ...analysis } = await requestStructuredReframe(provider, prompt);
+      return {
+        text: reframe,
+        analysis,
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: promptTemplate.version,
+        style: appliedStyle(variables.style)
+      };
+    } catch (error) {
+      failures.push(`${provider.name}: ${error.message}`);
+      const next = chain[index + 1];
+      console.warn(`⚠️ [Reframing] ${provider.name} (${provider.model}) failed: ${error.message}${next ? `, trying ${next.name}` : ''}`);
+    }
+  }
+
+  throw new Error(`Reframing failed: ${failures.join('; ')}`);
+};
@@ -0,0 +1,40 @@
+// Ways a thought can be reframed. A session uses the style it was processed
+// with, else its owner's default; without either the reframe is a generic
+// positive one. `instructions` are given to the model through the prompt
+// template's {{style}} variable.
+
+export const REFRAMING_STYLES = [
+  {
+    id: 'cbt',
+    name: 'Cognitive restructuring',
+    description: 'Spots thinking traps such as all-or-nothing thinking or catastrophising, weighs the evidence, and offers a more balanced thought.',
+    instructions: 'Use cognitive restructuring from cognitive behavioural therapy. If the thought contains a thinking trap, such as all-or-nothing thinking, catastrophising, mind reading, overgeneralising or labelling, gently name it. Weigh the evidence for and against the thought, then offer a balanced, realistic alternative the person could actually believe. Do not replace it with unrealistic optimism.'
+  },
+  {
+    id: 'self_compassion',
+    name: 'Self-compassion',
+    description: 'Responds the way a kind friend would: acknowledges that this is hard and that you are not alone in it.',
+    instructions: 'Respond with self-compassion, the way a kind and caring friend would. Acknowledge that what the person feels is hard and makes sense. Remind them that struggling and making mistakes is part of being human, and that they are not alone in it. Offer warmth and gentle encouragement instead of criticism, advice or quick fixes.'
+  },
+  {
+    id: 'stoic',
+    name: 'Stoic perspective',
+    description: 'Separates what is within your control from what is not, and turns your attention to what you can do next.',
+    instructions: 'Offer a Stoic perspective. Separate what is within the person\'s control, such as their own judgements, choices and actions, from what is not, such as other people, the past and outcomes. Encourage calm acceptance of what they cannot control and turn their attention to the next thing they can do.'
+  },
+  {
+    id: 'affirmation',
+    name: 'Affirmation',
+    description: 'Turns the thought into short first-person "I am" statements to say to yourself.',
+    instructions: 'Turn the thought into two to four short affirmations in the first person, written for the person to say to themselves, each starting with "I am" or "I can". Keep them believable and grounded in their situation rather than grand or absolute. The reframe is only the affirmations, as one paragraph, regardless of the length asked for.'
+  }
+];
+
+export const REFRAMING_STYLE_IDS = REFRAMING_STYLES.map(style => style.id);
+
+export const getReframingStyle = (id) => {
+  return REFRAMING_STYLES.find(style => style.id === id) || null;
+};
+
+// What clients are shown; the instructions stay on the server
+export const presentReframingStyle = ({ id, name, description }) => ({ id, name, description });
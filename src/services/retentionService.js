@@ -0,0 +1,300 @@
+import path from 'path';
+import { getAllSessionRecords, updateSession } from './sessionService.js';
+import { getAllUserIds, getUserById } from './userService.js';
+import { subscribeToAllSessions } from './sessionEvents.js';
+import { IN_FLIGHT_STATUSES } from './processingService.js';
+import { listMediaFiles, deleteMediaFile } from './mediaStorage.js';
+import { getRecordingKey, getGeneratedAudioKey } from '../storage/blobs.js';
+
+// Deletes audio nobody needs any more:
+//   - recordings, voice samples and generated audio older than their
+//     retention period (unset or 0 keeps them forever)
+//   - recordings of users who asked for them to be deleted after processing
+//   - orphaned files that no session or user refers to
+// Runs every hour; `npm run cleanup -- --dry-run` shows what would go.
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+export const RETENTION_POLICY = {
+  recordings: parseInt(process.env.RECORDING_RETENTION_DAYS || '0', 10) * DAY,
+  voiceSamples: parseInt(process.env.VOICE_SAMPLE_RETENTION_DAYS || '0', 10) * DAY,
+  generatedAudio: parseInt(process.env.GENERATED_AUDIO_RETENTION_DAYS || '0', 10) * DAY,
+  // Unreferenced files younger than this may belong to an upload or TTS
+  // run that hasn't updated its session yet
+  orphanGracePeriod: parseInt(process.env.ORPHAN_FILE_GRACE_HOURS || '24', 10) * HOUR
+};
+
+// Stored media names end in the Date.now() they were written at
+// (audio_<ts>.m4a, reframed_<session>_<ts>.mp3, voice_sample_<ts>.wav).
+// Re-encryption rewrites files, so the modification time is only a fallback.
+const fileCreatedAt = ({ key, lastModified }) => {
+  const match = /_(\d{13})(\.[^.]*)?$/.exec(path.basename(key));
+  return match ? parseInt(match[1], 10) : lastModified.getTime();
+};
+
+const isExpired = (createdAt, retention, now) => {
+  return retention > 0 && now - createdAt > retention;
+};
+
+// Stored files under a prefix, by key
+const listStored = async (prefix) => {
+  return new Map((await listMediaFiles(prefix)).map(file => [file.key, file]));
+};
+
+const createReport = (dryRun) => ({
+  dryRun,
+  deleted: [],
+  bytes: 0,
+  failures: []
+});
+
+const removeFile = async (report, type, file, reason) => {
+  report.deleted.push({ type, key: file.key, reason, size: file.size });
+  report.bytes += file.size;
+  if (!report.dryRun) {
+    await deleteMediaFile(file.key);
+  }
+};
+
+// --- Recordings ------------------------------------------------------------
+
+// Mark the selected recordings of a session as deleted, then remove the
+// files. The session is updated first: if removing a file fails, it is no
+// longer referenced and the orphan sweep picks it up. `stored` maps keys to
+// the files that exist. Returns the keys.
+const deleteRecordings = async (report, session, stored, select, reason) => {
+  const plan = (current) => {
+    if (IN_FLIGHT_STATUSES.includes(current.status)) {
+      return [];
+    }
+    return (current.audioFiles || []).filter(audioFile => !audioFile.deletedAt && select(audioFile));
+  };
+
+  let selected = plan(session);
+  if (selected.length > 0 && !report.dryRun) {
+    // Planned again on the stored session, which may have changed since
+    await updateSession(session.id, (current) => {
+      selected = plan(current);
+      const deletedAt = new Date().toISOString();
+      return {
+        audioFiles: current.audioFiles.map(audioFile =>
+          selected.includes(audioFile) ? { ...audioFile, deletedAt, deletedReason: reason } : audioFile
+        )
+      };
+    });
+  }
+
+  const keys = selected.map(audioFile => getRecordingKey(session.id, audioFile));
+  for (const key of keys) {
+    if (stored.has(key)) {
+      await removeFile(report, 'recording', stored.get(key), reason);
+    }
+  }
+  return keys;
+};
+
+const processedRecordings = async (report, sessions, stored, now) => {
+  const preferences = new Map();
+  const prefersDeletion = async (userId) => {
+    if (!userId) {
+      return false;
+    }
+    if (!preferences.has(userId)) {
+      preferences.set(userId, Boolean((await getUserById(userId))?.deleteRecordingsAfterProcessing));
+    }
+    return preferences.get(userId);
+  };
+
+  for (const session of sessions) {
+    if (!(session.audioFiles || []).some(audioFile => !audioFile.deletedAt)) {
+      continue;
+    }
+
+    try {
+      if (session.status === 'completed' && await prefersDeletion(session.userId)) {
+        await deleteRecordings(report, session, stored, () => true, 'after_processing');
+        continue;
+      }
+
+      await deleteRecordings(report, session, stored, (audioFile) => {
+        const file = stored.get(getRecordingKey(session.id, audioFile));
+        const createdAt = audioFile.uploadedAt ? Date.parse(audioFile.uploadedAt) : file && fileCreatedAt(file);
+        return Boolean(createdAt) && isExpired(createdAt, RETENTION_POLICY.recordings, now);
+      }, 'retention');
+    } catch (error) {
+      report.failures.push({ item: `session ${session.id}`, reason: error.message });
+    }
+  }
+};
+
+// --- Generated audio -------------------------------------------------------
+
+const expiredGeneratedAudio = async (report, sessions, stored, now) => {
+  if (RETENTION_POLICY.generatedAudio <= 0) {
+    return;
+  }
+
+  for (const session of sessions) {
+    if (!session.generatedAudioUrl || IN_FLIGHT_STATUSES.includes(session.status)) {
+      continue;
+    }
+
+    const file = stored.get(getGeneratedAudioKey(session.generatedAudioUrl));
+    if (!file || !isExpired(fileCreatedAt(file), RETENTION_POLICY.generatedAudio, now)) {
+      continue;
+    }
+
+    try {
+      let unchanged = true;
+      if (!report.dryRun) {
+        // Leave it if the audio was regenerated in the meantime
+        await updateSession(session.id, (current) => {
+          unchanged = current.generatedAudioUrl === session.generatedAudioUrl
+            && !IN_FLIGHT_STATUSES.includes(current.status);
+          return unchanged
+            ? { generatedAudioUrl: null, reframedAlignment: null, affirmationAudioUrl: null, generatedAudioDeletedAt: new Date().toISOString() }
+            : {};
+        });
+      }
+      if (unchanged) {
+        await removeFile(report, 'generated_audio', file, 'retention');
+        // The affirmation was spoken in the same run, so it goes with it
+        const affirmation = stored.get(getGeneratedAudioKey(session.affirmationAudioUrl));
+        if (affirmation) {
+          await removeFile(report, 'generated_audio', affirmation, 'retention');
+        }
+      }
+    } catch (error) {
+      report.failures.push({ item: `session ${session.id}`, reason: error.message });
+    }
+  }
+};
+
+// --- Voice samples ---------------------------------------------------------
+
+// Samples are only kept as a backup once the voice has been cloned, so
+// nothing refers to them; only their age and owner matter
+const voiceSamples = async (report, userIds, now) => {
+  for (const file of await listMediaFiles('voice-samples/')) {
+    const userId = file.key.split('/')[1];
+    const createdAt = fileCreatedAt(file);
+
+    if (!userIds.has(userId)) {
+      if (now - createdAt > RETENTION_POLICY.orphanGracePeriod) {
+        await removeFile(report, 'voice_sample', file, 'orphaned');
+      }
+    } else if (isExpired(createdAt, RETENTION_POLICY.voiceSamples, now)) {
+      await removeFile(report, 'voice_sample', file, 'retention');
+    }
+  }
+};
+
+// --- Orphans ---------------------------------------------------------------
+
+// Files still referenced by a session are never orphans, so this doesn't
+// list anything the steps above already did, even in a dry run
+const orphanedFiles = async (report, sessions, now) => {
+  const isOld = (file) => now - fileCreatedAt(file) > RETENTION_POLICY.orphanGracePeriod;
+
+  // Recordings of deleted sessions, or that their session doesn't list
+  const referencedRecordings = new Set(sessions.flatMap(session =>
+    (session.audioFiles || [])
+      .filter(audioFile => !audioFile.deletedAt)
+      .map(audioFile => getRecordingKey(session.id, audioFile))
+  ));
+
+  for (const file of await listMediaFiles('recordings/')) {
+    if (!referencedRecordings.has(file.key) && isOld(file)) {
+      await removeFile(report, 'recording', file, 'orphaned');
+    }
+  }
+
+  // Generated audio: every TTS run writes a new file, so older runs of a
+  // session are orphaned too
+  const currentAudio = new Set(sessions
+    .flatMap(session => [session.generatedAudioUrl, session.affirmationAudioUrl])
+    .map(getGeneratedAudioKey)
+    .filter(Boolean));
+
+  for (const file of await listMediaFiles('generated/')) {
+    if (path.basename(file.key).startsWith('reframed_') && !currentAudio.has(file.key) && isOld(file)) {
+      await removeFile(report, 'generated_audio', file, 'orphaned');
+    }
+  }
+};
+
+// --- Running ---------------------------------------------------------------
+
+let running = false;
+
+// Apply the retention policy once. With `dryRun`, nothing is changed and the
+// report lists what would have been deleted.
+export const runRetentionCleanup = async ({ dryRun = false } = {}) => {
+  if (running) {
+    throw new Error('Retention cleanup is already running');
+  }
+
+  running = true;
+  try {
+    const report = createReport(dryRun);
+    const now = Date.now();
+
+    let sessions = await getAllSessionRecords();
+    await processedRecordings(report, sessions, await listStored('recordings/'), now);
+    await expiredGeneratedAudio(report, sessions, await listStored('generated/'), now);
+    await voiceSamples(report, new Set(await getAllUserIds()), now);
+
+    // Reload so the orphan sweep sees the references removed above
+    sessions = dryRun ? sessions : await getAllSessionRecords();
+    await orphanedFiles(report, sessions, now);
+
+    return report;
+  } finally {
+    running = false;
+  }
+};
+
+const runScheduledCleanup = async () => {
+  try {
+    const report = await runRetentionCleanup();
+    if (report.deleted.length > 0 || report.failures.length > 0) {
+      console.log(`🧹 [Retention] Deleted ${report.deleted.length} file(s), ${(report.bytes / 1024 / 1024).toFixed(1)} MB freed, ${report.failures.length} failure(s)`);
+    }
+  } catch (error) {
+    console.error('❌ [Retention] Cleanup failed:', error.message);
+  }
+};
+
+// Delete a user's voice sample once it has been cloned, if they asked for
+// recordings to be deleted after processing
+export const deleteVoiceSampleAfterCloning = async (user, key) => {
+  if (user.deleteRecordingsAfterProcessing) {
+    await deleteMediaFile(key);
+    console.log(`🧹 [Retention] Deleted voice sample for user ${user.id} after cloning`);
+  }
+};
+
+// Delete recordings as soon as a session completes for users who asked
+// for it; the hourly run catches any that are missed here
+subscribeToAllSessions((previous, updated) => {
+  if (updated.status !== 'completed' || previous.status === 'completed' || !updated.userId) {
+    return;
+  }
+
+  getUserById(updated.userId)
+    .then(async (user) => {
+      if (!user?.deleteRecordingsAfterProcessing) {
+        return;
+      }
+      const stored = await listStored(`recordings/${updated.id}/`);
+      const deleted = await deleteRecordings(createReport(false), updated, stored, () => true, 'after_processing');
+      if (deleted.length > 0) {
+        console.log(`🧹 [Retention] Deleted ${deleted.length} recording(s) of session ${updated.id} after processing`);
+      }
+    })
+    .catch(error => console.error(`❌ [Retention] Could not delete recordings of session ${updated.id}:`, error.message));
+});
+
+// Run cleanup every hour
+setInterval(runScheduledCleanup, 60 * 60 * 1000);
@@ -0,0 +1,91 @@
+import { EventEmitter } from 'events';
+import { signMediaUrl } from '../utils/urlSigning.js';
+
+// In-process pub/sub for session changes. sessionService publishes every
+// update here and the SSE route forwards them to connected clients.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Channel that receives every session's updates (session ids are UUIDs)
+const ALL_SESSIONS = '*';
+
+// Statuses after which no further progress events are expected (until
+// the user chooses a reframe, for `awaiting_selection`)
+export const TERMINAL_STATUSES = ['completed', 'error', 'awaiting_selection'];
+
+export const publishSessionUpdate = (previous, updated) => {
+  emitter.emit(updated.id, previous, updated);
+  emitter.emit(ALL_SESSIONS, previous, updated);
+};
+
+// Returns an unsubscribe function
+export const subscribeToSession = (sessionId, listener) => {
+  emitter.on(sessionId, listener);
+  return () => emitter.off(sessionId, listener);
+};
+
+// Listen to updates of every session, for server-side reactions to changes
+export const subscribeToAllSessions = (listener) => {
+  emitter.on(ALL_SESSIONS, listener);
+  return () => emitter.off(ALL_SESSIONS, listener);
+};
+
+// Turn one session update into the progress events a client cares about
+export const describeSessionUpdate = (previous, updated) => {
+  const events = [];
+
+  if (updated.transcript && updated.transcript !== previous.transcript) {
+    events.push({ event: 'transcript', data: { transcript: updated.transcript } });
+  }
+
+  if (updated.reframedText && updated.reframedText !== previous.reframedText) {
+    events.push({
+      event: 'reframe',
+      data: {
+        reframedText: updated.reframedText,
+        analysis: updated.reframeAnalysis,
+        provider: updated.reframeProvider,
+        model: updated.reframeModel
+      }
+    });
+  }
+
+  const variantIds = (session) => (session.reframeVariants || []).map(variant => variant.id).join(',');
+  if (updated.reframeVariants?.length > 1 && variantIds(updated) !== variantIds(previous)) {
+    events.push({ event: 'variants', data: { variants: updated.reframeVariants } });
+  }
+
+  const chunks = updated.steps?.transcribe?.chunks;
+  const previousChunks = previous.steps?.transcribe?.chunks;
+  if (chunks && (chunks.completed !== previousChunks?.completed || chunks.total !== previousChunks?.total)) {
+    events.push({ event: 'progress', data: { step: 'transcribe', completed: chunks.completed, total: chunks.total } });
+  }
+
+  if (updated.status !== previous.status) {
+    events.push({
+      event: 'status',
+      data: {
+        status: updated.status,
+        previousStatus: previous.status,
+        steps: updated.steps || null
+      }
+    });
+
+    if (updated.status === 'completed') {
+      events.push({
+        event: 'completed',
+        data: {
+          generatedAudioUrl: signMediaUrl(updated.generatedAudioUrl),
+          affirmationAudioUrl: signMediaUrl(updated.affirmationAudioUrl),
+          // Set when TTS failed but the transcript and reframe are ready
+          error: updated.error || null
+        }
+      });
+    } else if (updated.status === 'error') {
+      // Not `error`, which EventSource uses for connection errors
+      events.push({ event: 'failed', data: { error: updated.error } });
+    }
+  }
+
+  return events;
+};
@@ -1,99 +1,239 @@
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { sessionRepository } from '../storage/index.js';
+import { publishSessionUpdate } from './sessionEvents.js';
+import { signMediaUrl } from '../utils/urlSigning.js';
+import { createKeyedLock } from '../utils/keyedLock.js';
+import { getUserKeyring, encryptValue, decryptValue, getValueKeyId } from './encryptionService.js';
+
+// What the user said and what they were told back, including the timed
+// copies used for captions. Stored encrypted with the owner's data key;
+// everything outside this module sees plain values.
+export const ENCRYPTED_SESSION_FIELDS = [
+  'transcript',
+  'transcriptSegments',
+  'reframeVariants',
+  'reframedText',
+  'reframeAnalysis',
+  'reframedAlignment'
+];
+
+const fieldContext = (sessionId, field) => `${sessionId}:${field}`;
+
+const decryptFields = (stored, keyring) => {
+  const session = { ...stored };
+  for (const field of ENCRYPTED_SESSION_FIELDS) {
+    session[field] = decryptValue(stored[field], keyring, fieldContext(stored.id, field));
+  }
+  return session;
+};
 
-const sessionsDir = process.env.SESSIONS_DIR || './data/sessions';
+// Unchanged values keep their stored ciphertext as long as it uses the
+// current data key, so an update only re-encrypts the fields it touched
+const encryptFields = (next, stored, previous, keyring) => {
+  const record = { ...next };
+  for (const field of ENCRYPTED_SESSION_FIELDS) {
+    const unchanged = next[field] === previous[field] && getValueKeyId(stored[field]) === keyring?.current?.id;
+    record[field] = unchanged && stored[field] !== null && stored[field] !== undefined
+      ? stored[field]
+      : encryptValue(next[field], keyring, fieldContext(next.id, field));
+  }
+  return record;
+};
 
-// Ensure sessions directory exists
-if (!fs.existsSync(sessionsDir)) {
-  fs.mkdirSync(sessionsDir, { recursive: true });
-}
+const needsReencryption = (stored, keyring) => {
+  if (!keyring?.current) {
+    return false;
+  }
+  return ENCRYPTED_SESSION_FIELDS.some(field =>
+    stored[field] !== null && stored[field] !== undefined && getValueKeyId(stored[field]) !== keyring.current.id
+  );
+};
 
-const getSessionPath = (sessionId) => {
-  return path.join(sessionsDir, `${sessionId}.json`);
+// Decrypt a batch of stored sessions, looking each owner's keys up once
+const decryptSessions = async (storedSessions) => {
+  const keyrings = new Map();
+  const sessions = [];
+  for (const stored of storedSessions) {
+    if (!keyrings.has(stored.userId)) {
+      keyrings.set(stored.userId, await getUserKeyring(stored.userId));
+    }
+    sessions.push(decryptFields(stored, keyrings.get(stored.userId)));
+  }
+  return sessions;
 };
 
-export const createSession = async (userId) => {
+// `language` is the language code to transcribe in, 'auto' to detect it, or
+// null to follow the owner's preference
+export const createSession = async (userId, { language = null } = {}) => {
   const sessionId = uuidv4();
   const session = {
     id: sessionId,
     userId: userId,
     createdAt: new Date().toISOString(),
     status: 'created',
+    language,
+    detectedLanguage: null,
+    style: null,
     audioFiles: [],
     transcript: null,
+    transcriptSegments: null,
+    reframeVariants: null,
+    selectedVariantId: null,
     reframedText: null,
+    reframeAnalysis: null,
+    reframeProvider: null,
+    reframeModel: null,
+    reframePromptVersion: null,
+    reframeStyle: null,
     generatedAudioUrl: null,
-    error: null
+    reframedAlignment: null,
+    affirmationAudioUrl: null,
+    error: null,
+    version: 1
   };
 
-  const sessionPath = getSessionPath(sessionId);
-  fs.writeFileSync(sessionPath, JSON.stringify(session, null, 2));
+  await sessionRepository.create(session);
 
   return session;
 };
 
+// Sessions store the bare media path; clients get a signed, expiring URL
+export const presentSession = (session) => {
+  return {
+    ...session,
+    generatedAudioUrl: signMediaUrl(session.generatedAudioUrl),
+    affirmationAudioUrl: signMediaUrl(session.affirmationAudioUrl)
+  };
+};
+
 export const getSession = async (sessionId) => {
-  const sessionPath = getSessionPath(sessionId);
-  
-  if (!fs.existsSync(sessionPath)) {
+  const stored = await sessionRepository.findById(sessionId);
+  if (!stored) {
     return null;
   }
+  return decryptFields(stored, await getUserKeyring(stored.userId));
+};
 
-  const sessionData = fs.readFileSync(sessionPath, 'utf8');
-  return JSON.parse(sessionData);
+// Allowed status changes. Setting the current status again is always
+// allowed; statuses not listed here (older records) aren't restricted.
+const STATUS_TRANSITIONS = {
+  created: ['audio_uploaded'],
+  audio_uploaded: ['processing'],
+  processing: ['transcribing', 'reframing', 'awaiting_selection', 'generating_audio', 'completed', 'error'],
+  transcribing: ['transcribed', 'processing', 'error'],
+  transcribed: ['reframing', 'processing', 'error'],
+  reframing: ['reframed', 'awaiting_selection', 'processing', 'error'],
+  reframed: ['generating_audio', 'processing', 'completed', 'error'],
+  awaiting_selection: ['audio_uploaded', 'processing'],
+  generating_audio: ['completed', 'processing', 'error'],
+  completed: ['audio_uploaded', 'processing'],
+  error: ['audio_uploaded', 'processing']
 };
 
-export const updateSession = async (sessionId, updates) => {
-  const session = await getSession(sessionId);
-  
-  if (!session) {
-    throw new Error('Session not found');
+const assertStatusTransition = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from];
+  if (from === to || !allowed || allowed.includes(to)) {
+    return;
   }
 
-  const updatedSession = {
-    ...session,
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
-
-  const sessionPath = getSessionPath(sessionId);
-  fs.writeFileSync(sessionPath, JSON.stringify(updatedSession, null, 2));
-
-  return updatedSession;
+  const error = new Error(`Cannot change session status from '${from}' to '${to}'`);
+  error.status = 409;
+  error.code = 'INVALID_STATUS_TRANSITION';
+  throw error;
 };
 
-export const getUserSessions = async (userId) => {
-  const sessionsDir = process.env.SESSIONS_DIR || './data/sessions';
-  
-  if (!fs.existsSync(sessionsDir)) {
-    return [];
-  }
+// Updates to one session are serialized in this process. The repository's
+// version check catches writes from elsewhere (another server process); on
+// a conflict the session is re-read and the updates applied again.
+const withSessionLock = createKeyedLock();
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Read-modify-write of one session. `build` receives the decrypted session
+// (plus the stored record and the owner's keys) and returns the next
+// decrypted session, or null to leave it alone. Returns { previous, updated }
+// or null.
+const writeSession = async (sessionId, build) => {
+  return await withSessionLock(sessionId, async () => {
+    for (let attempt = 1; ; attempt++) {
+      const stored = await sessionRepository.findById(sessionId);
+
+      if (!stored) {
+        throw new Error('Session not found');
+      }
 
-  const files = fs.readdirSync(sessionsDir);
-  const sessions = [];
+      const keyring = await getUserKeyring(stored.userId, { create: true });
+      const session = decryptFields(stored, keyring);
+      const next = build(session, stored, keyring);
+      if (!next) {
+        return null;
+      }
 
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      const filePath = path.join(sessionsDir, file);
-      const sessionData = fs.readFileSync(filePath, 'utf8');
-      const session = JSON.parse(sessionData);
-      
-      // Only return sessions belonging to this user
-      if (session.userId === userId) {
-        sessions.push(session);
+      try {
+        const saved = await sessionRepository.update(encryptFields(next, stored, session, keyring));
+        return { previous: session, updated: { ...next, version: saved.version } };
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT' || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
+        }
       }
     }
-  }
+  });
+};
 
-  // Sort by created date, newest first
-  sessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// `updates` is either an object to merge or a function that receives the
+// current session and returns one. Use a function when the changes depend on
+// what is stored (appending to a list, bumping a counter), so that a retry
+// after a conflict computes them again from the fresh record.
+export const updateSession = async (sessionId, updates) => {
+  const { previous, updated } = await writeSession(sessionId, (session) => {
+    const changes = typeof updates === 'function' ? updates(session) : updates;
+    if (changes.status) {
+      assertStatusTransition(session.status, changes.status);
+    }
 
-  return sessions;
+    return {
+      ...session,
+      ...changes,
+      version: session.version,
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  publishSessionUpdate(previous, updated);
+
+  return updated;
 };
 
+export const deleteSession = async (sessionId) => {
+  await sessionRepository.delete(sessionId);
+};
+
+// Newest first
+export const getUserSessions = async (userId) => {
+  return await decryptSessions(await sessionRepository.findByUserId(userId));
+};
+
+export const getSessionsByStatus = async (statuses) => {
+  return await decryptSessions(await sessionRepository.findByStatus(statuses));
+};
+
+// Ids of every stored session, for maintenance commands
+export const getAllSessionIds = async () => {
+  return (await sessionRepository.findAll()).map(session => session.id);
+};
+
+// Every stored session with its encrypted fields left as they are, for
+// maintenance that only needs the file references
+export const getAllSessionRecords = async () => {
+  return await sessionRepository.findAll();
+};
+
+// Rewrite a session's encrypted fields with the owner's current data key
+// (encrypting plain values from before encryption was enabled). Returns
+// whether anything changed.
+export const reencryptSession = async (sessionId) => {
+  const result = await writeSession(sessionId, (session, stored, keyring) =>
+    needsReencryption(stored, keyring) ? session : null
+  );
+  return result !== null;
+};
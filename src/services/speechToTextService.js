@@ -1,154 +1,276 @@
-import OpenAI from 'openai';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import FormData from 'form-data';
-import axios from 'axios';
+import { pipeline } from 'stream/promises';
+import { getMediaStats, createMediaReadStream, getMediaContentType } from './mediaStorage.js';
+import { createOpenAIProvider } from './stt/openaiProvider.js';
+import { createWhisperHttpProvider } from './stt/whisperHttpProvider.js';
+import { createFakeProvider } from './stt/fakeProvider.js';
+import {
+  CHUNK_EXTENSION,
+  isFfmpegAvailable,
+  probeDuration,
+  maxChunkSecondsForSize,
+  planChunks,
+  extractChunk
+} from './stt/audioChunks.js';
+import { stitchTranscripts } from './stt/stitch.js';
 
-const useGoogleSTT = process.env.USE_GOOGLE_STT === 'true';
+// Transcription providers, selected by STT_PROVIDER:
+//   openai        OpenAI's hosted Whisper (default)
+//   whisper-http  a self-hosted Whisper server (WHISPER_HTTP_URL)
+//   fake          deterministic transcripts, for development and tests
+//
+// Every provider has the same shape:
+//   name
+//   formats        file extensions it accepts, or null for any
+//   maxFileSize    largest recording it accepts, in bytes
+//   languages      language codes it can transcribe, or null for any
+//   transcribe(audio, { language })   { text, language, segments }
+// `audio` is { key, filename, size, contentType, openStream() }; openStream
+// returns the decrypted recording and may be called once per attempt.
+// Without a `language` the provider detects it, and reports what it heard.
+// Languages are ISO 639-1 codes such as `en` or `es`. `segments` are
+// [{ start, end, text, words }] with times in seconds and `words`
+// ([{ word, start, end }]) only when the provider times single words;
+// providers that can't time their output return an empty list.
+const providerName = process.env.STT_PROVIDER || 'openai';
 
-let openaiClient = null;
-if (!useGoogleSTT && process.env.OPENAI_API_KEY) {
-  openaiClient = new OpenAI({
+const providers = {
+  openai: () => createOpenAIProvider({
     apiKey: process.env.OPENAI_API_KEY,
-    timeout: 300000, // 5 minutes timeout for large audio files
-    maxRetries: 3, // Retry up to 3 times on failure
-  });
+    model: process.env.OPENAI_STT_MODEL || 'whisper-1'
+  }),
+  'whisper-http': () => createWhisperHttpProvider({
+    url: process.env.WHISPER_HTTP_URL,
+    apiKey: process.env.WHISPER_HTTP_API_KEY,
+    model: process.env.WHISPER_HTTP_MODEL,
+    maxFileSize: parseInt(process.env.WHISPER_HTTP_MAX_FILE_MB || '100', 10) * 1024 * 1024,
+    timeout: parseInt(process.env.WHISPER_HTTP_TIMEOUT_SECONDS || '600', 10) * 1000
+  }),
+  fake: () => createFakeProvider({
+    transcript: process.env.FAKE_STT_TRANSCRIPT,
+    detectedLanguage: process.env.FAKE_STT_LANGUAGE || 'en'
+  })
+};
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown STT_PROVIDER: ${providerName}. Use ${Object.keys(providers).join(', ')}.`);
 }
 
-export const transcribeAudio = async (audioPath) => {
-  if (useGoogleSTT) {
-    return await transcribeWithGoogle(audioPath);
-  } else {
-    return await transcribeWithWhisper(audioPath);
-  }
+const provider = providers[providerName]();
+console.log(`🎙️ [STT] Transcribing with ${provider.name}`);
+
+export const getTranscriptionProvider = () => provider;
+
+// Value of a language setting that asks for the language to be detected
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+export const isTranscriptionLanguage = (language) => {
+  return !provider.languages || provider.languages.includes(language);
 };
 
-const transcribeWithWhisper = async (audioPath) => {
-  if (!openaiClient) {
-    throw new Error('OpenAI API key not configured');
+// Recordings longer than `chunkSeconds`, larger than the provider accepts or
+// in a format it doesn't take are split with ffmpeg into overlapping chunks
+const CHUNKING = {
+  chunkSeconds: parseInt(process.env.STT_CHUNK_SECONDS || '600', 10),
+  overlapSeconds: parseInt(process.env.STT_CHUNK_OVERLAP_SECONDS || '5', 10),
+  concurrency: Math.max(1, parseInt(process.env.STT_CHUNK_CONCURRENCY || '2', 10))
+};
+
+// Decrypted copies of recordings and their chunks, removed after each run
+const sttTempDir = process.env.STT_TMP_DIR || path.join(os.tmpdir(), 'thoughts-reframed-stt');
+
+// Ensure temp directory exists
+if (!fs.existsSync(sttTempDir)) {
+  fs.mkdirSync(sttTempDir, { recursive: true });
+}
+
+// Errors retrying can't fix, so the pipeline doesn't try again
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// Why the provider can't take the recording as it is, or null if it can
+const fileLimitProblem = (audioKey, size) => {
+  const extension = path.extname(audioKey).toLowerCase();
+  if (provider.formats && !provider.formats.includes(extension)) {
+    return `The ${provider.name} transcription provider does not support ${extension || 'extensionless'} files`;
+  }
+  if (size > provider.maxFileSize) {
+    const sizeInMB = (size / (1024 * 1024)).toFixed(1);
+    const maxInMB = (provider.maxFileSize / (1024 * 1024)).toFixed(0);
+    return `The recording is ${sizeInMB} MB, but the ${provider.name} transcription provider accepts at most ${maxInMB} MB`;
   }
+  return null;
+};
 
-  // Get file size for logging
-  const stats = fs.statSync(audioPath);
-  const fileSizeInMB = (stats.size / (1024 * 1024)).toFixed(2);
-  console.log(`[Whisper] Transcribing audio file: ${audioPath} (${fileSizeInMB} MB)`);
+const transcribeFile = async (audio, language) => {
+  const fileSizeInMB = (audio.size / (1024 * 1024)).toFixed(2);
+  console.log(`[STT] Transcribing ${audio.filename} with ${provider.name} (${fileSizeInMB} MB)`);
+  return await provider.transcribe(audio, { language });
+};
 
-  let lastError = null;
-  const maxRetries = 3;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[Whisper] Attempt ${attempt}/${maxRetries}`);
-      
-      // Try using axios with form-data directly for more reliable file uploads
-      const fileName = path.basename(audioPath);
-      const fileStats = fs.statSync(audioPath);
-      
-      console.log(`[Whisper] Sending request with file size: ${(fileStats.size / 1024).toFixed(2)} KB`);
-      const startTime = Date.now();
-      
-      // Use form-data for multipart form upload
-      const formData = new FormData();
-      const fileStream = fs.createReadStream(audioPath);
-      formData.append('file', fileStream, {
-        filename: fileName,
-        contentType: 'audio/m4a'
-      });
-      formData.append('model', 'whisper-1');
-      formData.append('language', 'en');
-      formData.append('response_format', 'text');
-      
-      // Make direct API call with axios
-      const response = await axios.post(
-        'https://api.openai.com/v1/audio/transcriptions',
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            ...formData.getHeaders()
-          },
-          timeout: 300000, // 5 minutes
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }
-      );
-      
-      const transcription = response.data;
-      
-      // Ensure stream is closed
-      fileStream.destroy();
-
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`[Whisper] Transcription successful in ${duration}s (${transcription.length} characters)`);
-      return transcription;
-    } catch (error) {
-      lastError = error;
-      const errorMessage = error.message || 'Unknown error';
-      const errorCode = error.code || error.cause?.code || error.error?.code;
-      const statusCode = error.response?.status || error.status;
-      
-      // Check for rate limiting (429) or connection errors
-      const isRateLimit = statusCode === 429;
-      const isConnectionError = errorCode === 'ECONNRESET' || 
-                                errorCode === 'ETIMEDOUT' ||
-                                errorMessage.includes('Connection') ||
-                                errorMessage.includes('socket hang up') ||
-                                errorMessage.includes('timeout');
-      
-      console.error(`[Whisper] Attempt ${attempt} failed:`, errorMessage);
-      if (errorCode) {
-        console.error(`[Whisper] Error code: ${errorCode}`);
-      }
-      if (statusCode) {
-        console.error(`[Whisper] HTTP status: ${statusCode}`);
-      }
-      
-      // Handle rate limiting with longer backoff
-      if (attempt < maxRetries && isRateLimit) {
-        // For rate limits, use longer exponential backoff: 10s, 20s, 40s
-        const waitTime = Math.min(attempt * 10000, 60000); // Cap at 60 seconds
-        console.log(`[Whisper] Rate limit detected (429). Retrying in ${waitTime/1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        continue;
+const shiftTimes = (item, offset) => ({ ...item, start: item.start + offset, end: item.end + offset });
+
+// Segments of every chunk on the recording's timeline. Where chunks overlap,
+// the first half comes from the earlier chunk and the rest from the later
+// one, so each stretch of audio is only covered once. Segments with timed
+// words are cut between words; others are kept by where their middle falls.
+const mergeChunkSegments = (chunks, results) => {
+  const cutAt = (index) => {
+    if (index === 0) {
+      return -Infinity;
+    }
+    if (index === chunks.length) {
+      return Infinity;
+    }
+    return (chunks[index].start + chunks[index - 1].end) / 2;
+  };
+
+  return chunks.flatMap((chunk, index) => {
+    const inChunk = (time) => time >= cutAt(index) && time < cutAt(index + 1);
+
+    return (results[index].segments || []).flatMap((segment) => {
+      if (!segment.words) {
+        const shifted = shiftTimes(segment, chunk.start);
+        return inChunk((shifted.start + shifted.end) / 2) ? [shifted] : [];
       }
-      
-      // Handle connection errors with shorter backoff
-      if (attempt < maxRetries && isConnectionError) {
-        const waitTime = attempt * 3000; // Exponential backoff: 3s, 6s, 9s
-        console.log(`[Whisper] Connection error detected. Retrying in ${waitTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        continue;
+
+      const words = segment.words.map(word => shiftTimes(word, chunk.start)).filter(word => inChunk(word.start));
+      if (words.length === 0) {
+        return [];
       }
-      
-      // If it's the last attempt or not a retryable error, throw
-      if (attempt === maxRetries) {
-        if (isRateLimit) {
-          throw new Error(`Transcription failed: Rate limit exceeded. Please try again in a few minutes.`);
-        }
-        throw new Error(`Transcription failed after ${maxRetries} attempts: ${errorMessage}`);
+      return [{
+        start: words[0].start,
+        end: words[words.length - 1].end,
+        text: words.length === segment.words.length ? segment.text : words.map(word => word.word).join(' '),
+        words
+      }];
+    });
+  });
+};
+
+// Transcribe `chunks` of the local copy with at most CHUNKING.concurrency
+// at a time. The first failure stops further chunks from starting; chunks
+// already running are waited for so nothing touches the work directory after
+// it has been removed. When the language is detected, the first chunk is
+// transcribed on its own and its language used for the rest, so one
+// recording isn't transcribed in several languages.
+const transcribeChunks = async (audioKey, localPath, workDir, chunks, language, onProgress) => {
+  const baseName = path.basename(audioKey, path.extname(audioKey));
+  const results = new Array(chunks.length);
+  let chunkLanguage = language;
+  let nextChunk = 0;
+  let completed = 0;
+  let firstError = null;
+
+  const worker = async (lastChunk = chunks.length - 1) => {
+    while (nextChunk <= lastChunk && !firstError) {
+      const chunk = chunks[nextChunk++];
+      const chunkPath = path.join(workDir, `chunk_${chunk.index}${CHUNK_EXTENSION}`);
+      try {
+        await extractChunk(localPath, chunkPath, chunk);
+        const result = await transcribeFile({
+          key: audioKey,
+          filename: `${baseName}_part${chunk.index + 1}${CHUNK_EXTENSION}`,
+          size: fs.statSync(chunkPath).size,
+          contentType: 'audio/mpeg',
+          openStream: async () => fs.createReadStream(chunkPath)
+        }, chunkLanguage);
+        results[chunk.index] = result;
+        chunkLanguage = chunkLanguage || result.language;
+        fs.rmSync(chunkPath, { force: true });
+
+        completed++;
+        console.log(`[STT] Chunk ${chunk.index + 1}/${chunks.length} of ${audioKey} transcribed (${chunk.start.toFixed(0)}s-${chunk.end.toFixed(0)}s)`);
+        await onProgress({ completed, total: chunks.length });
+      } catch (error) {
+        firstError = firstError || new Error(`Chunk ${chunk.index + 1}/${chunks.length}: ${error.message}`);
       }
-      throw new Error(`Transcription failed: ${errorMessage}`);
     }
+  };
+
+  if (!language) {
+    await worker(0);
+  }
+  await Promise.all(Array.from({ length: Math.min(CHUNKING.concurrency, chunks.length) }, () => worker()));
+  if (firstError) {
+    throw firstError;
   }
-  
-  // Should never reach here, but just in case
-  throw new Error(`Transcription failed after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
+  return {
+    text: stitchTranscripts(results.map(result => result.text)),
+    language: chunkLanguage,
+    segments: mergeChunkSegments(chunks, results)
+  };
 };
 
-const transcribeWithGoogle = async (audioPath) => {
-  // Google Cloud Speech-to-Text implementation
-  // This requires @google-cloud/speech package and service account credentials
-  // For now, we'll throw an error if Google STT is selected but not fully configured
-  
-  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    throw new Error('Google Cloud credentials not configured. Set GOOGLE_APPLICATION_CREDENTIALS environment variable.');
+// Transcribe a stored recording in `language`, or in the language that is
+// detected when it is null. Returns { text, language, segments }.
+// `onProgress({ completed, total })` is called as chunks finish; a recording
+// that isn't split counts as one chunk.
+export const transcribeAudio = async (audioKey, { language = null, onProgress = async () => {} } = {}) => {
+  // Get file size (recordings may be encrypted in storage)
+  const stats = await getMediaStats(audioKey);
+  if (!stats) {
+    throw new Error('Audio file not found');
+  }
+  if (language && !isTranscriptionLanguage(language)) {
+    throw permanentError(`The ${provider.name} transcription provider does not support language '${language}'`);
   }
 
-  // TODO: Implement Google Cloud Speech-to-Text
-  // const speech = require('@google-cloud/speech').v1.SpeechClient;
-  // const client = new speech();
-  // ... implementation here
-  
-  throw new Error('Google Cloud Speech-to-Text not yet implemented. Please use OpenAI Whisper by setting USE_GOOGLE_STT=false');
-};
+  const problem = fileLimitProblem(audioKey, stats.size);
+  const wholeFile = {
+    key: audioKey,
+    filename: path.basename(audioKey),
+    size: stats.size,
+    contentType: getMediaContentType(audioKey)
+  };
+  const transcribeWhole = async (openStream) => {
+    await onProgress({ completed: 0, total: 1 });
+    const transcription = await transcribeFile({ ...wholeFile, openStream }, language);
+    await onProgress({ completed: 1, total: 1 });
+    return transcription;
+  };
 
+  if (!(await isFfmpegAvailable())) {
+    if (problem) {
+      throw permanentError(`${problem}. Install ffmpeg so it can be split into chunks.`);
+    }
+    return await transcribeWhole(() => createMediaReadStream(audioKey));
+  }
+
+  const workDir = fs.mkdtempSync(path.join(sttTempDir, 'job-'));
+  try {
+    // ffmpeg needs a seekable, decrypted file
+    const localPath = path.join(workDir, `recording${path.extname(audioKey)}`);
+    await pipeline(await createMediaReadStream(audioKey), fs.createWriteStream(localPath));
+
+    let duration = null;
+    try {
+      duration = await probeDuration(localPath);
+    } catch (error) {
+      if (problem) {
+        throw permanentError(`${problem}, and it could not be split: ${error.message}`);
+      }
+      console.warn(`⚠️ [STT] Could not read the length of ${audioKey}, sending it whole: ${error.message}`);
+    }
+
+    if (!problem && (duration === null || duration <= CHUNKING.chunkSeconds)) {
+      return await transcribeWhole(async () => fs.createReadStream(localPath));
+    }
+
+    const chunkSeconds = Math.min(CHUNKING.chunkSeconds, maxChunkSecondsForSize(provider.maxFileSize));
+    const chunks = planChunks(duration, chunkSeconds, CHUNKING.overlapSeconds);
+    console.log(`[STT] Splitting ${audioKey} (${duration.toFixed(0)}s) into ${chunks.length} chunk(s) of up to ${chunkSeconds}s`);
+    await onProgress({ completed: 0, total: chunks.length });
+
+    const transcription = await transcribeChunks(audioKey, localPath, workDir, chunks, language, onProgress);
+    console.log(`[STT] Transcribed ${audioKey} from ${chunks.length} chunk(s) (${transcription.text.length} characters)`);
+    return transcription;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,100 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+
+// ffmpeg helpers for splitting recordings into pieces a transcription
+// provider accepts. Chunks are re-encoded as 16 kHz mono MP3, which is what
+// Whisper resamples to anyway, so nothing is lost and they stay small.
+
+const execFileAsync = promisify(execFile);
+
+// ffmpeg's own message instead of the whole command line
+const run = async (file, args) => {
+  try {
+    return await execFileAsync(file, args);
+  } catch (error) {
+    throw new Error(`${path.basename(file)} failed: ${error.stderr?.trim() || error.message}`);
+  }
+};
+
+const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+
+export const CHUNK_EXTENSION = '.mp3';
+const CHUNK_BITRATE = 48000;
+
+let available = null;
+
+// Whether ffmpeg and ffprobe can be run; checked once
+export const isFfmpegAvailable = async () => {
+  if (available === null) {
+    try {
+      await run(ffmpegPath, ['-version']);
+      await run(ffprobePath, ['-version']);
+      available = true;
+    } catch (error) {
+      console.warn(`⚠️ [STT] ffmpeg not available (${error.message}), long recordings can't be split`);
+      available = false;
+    }
+  }
+  return available;
+};
+
+// Length of a recording in seconds
+export const probeDuration = async (filePath) => {
+  const { stdout } = await run(ffprobePath, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ]);
+
+  const duration = parseFloat(stdout.trim());
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('Could not determine the length of the recording');
+  }
+  return duration;
+};
+
+// Longest chunk, in seconds, that stays under `maxFileSize` bytes with some
+// room for the container
+export const maxChunkSecondsForSize = (maxFileSize) => {
+  return Math.floor((maxFileSize * 8 * 0.9) / CHUNK_BITRATE);
+};
+
+// Chunk windows covering `duration`, each `chunkSeconds` long and starting
+// `overlapSeconds` before the previous one ends
+export const planChunks = (duration, chunkSeconds, overlapSeconds) => {
+  const step = chunkSeconds - overlapSeconds;
+  if (step <= 0) {
+    throw new Error('The chunk length must be longer than the overlap');
+  }
+
+  const chunks = [];
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(start + chunkSeconds, duration);
+    chunks.push({ index: chunks.length, start, end });
+    if (end >= duration) {
+      break;
+    }
+  }
+  return chunks;
+};
+
+// Write one window of `inputPath` to `outputPath`
+export const extractChunk = async (inputPath, outputPath, { start, end }) => {
+  await run(ffmpegPath, [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-y',
+    '-ss', start.toFixed(3),
+    '-t', (end - start).toFixed(3),
+    '-i', inputPath,
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-c:a', 'libmp3lame',
+    '-b:a', `${CHUNK_BITRATE / 1000}k`,
+    outputPath
+  ]);
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Deterministic transcripts for development and tests: no network, no
+// model. The audio is still read, so missing or undecryptable files fail
+// as they would with a real provider. The same audio always gives the same
+// transcript. Without a language, `detectedLanguage` is reported as spoken.
+// Words are timed as if spoken at a steady two words per second, in
+// segments of ten words.
+
+const SECONDS_PER_WORD = 0.5;
+const WORDS_PER_SEGMENT = 10;
+
+export const createFakeProvider = ({ transcript, detectedLanguage }) => ({
+  name: 'fake',
+  formats: null,
+  maxFileSize: Infinity,
+  languages: null,
+
+  transcribe: async (audio, { language }) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await audio.openStream()) {
+      hash.update(chunk);
+    }
+
+    const spoken = language || detectedLanguage;
+    const text = transcript || `Transcript ${hash.digest('hex').slice(0, 12)} of ${audio.filename} (${spoken}).`;
+    const words = text.split(/\s+/).filter(Boolean).map((word, index) => ({
+      word,
+      start: index * SECONDS_PER_WORD,
+      end: (index + 1) * SECONDS_PER_WORD
+    }));
+
+    const segments = [];
+    for (let index = 0; index < words.length; index += WORDS_PER_SEGMENT) {
+      const segmentWords = words.slice(index, index + WORDS_PER_SEGMENT);
+      segments.push({
+        start: segmentWords[0].start,
+        end: segmentWords[segmentWords.length - 1].end,
+        text: segmentWords.map(word => word.word).join(' '),
+        words: segmentWords
+      });
+    }
+
+    return { text, language: spoken, segments };
+  }
+});
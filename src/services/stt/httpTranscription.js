@@ -0,0 +1,154 @@
+import FormData from 'form-data';
+import axios from 'axios';
+import { whisperLanguageCode } from './whisper.js';
+
+// Multipart upload to a Whisper-style transcription endpoint, shared by the
+// OpenAI and self-hosted providers. Rate limits and dropped connections are
+// retried with backoff; anything else fails straight away.
+
+const maxRetries = 3;
+
+// `fields` are sent next to the file; empty values are left out and arrays
+// are sent as repeated fields. The audio stream is opened again for every
+// attempt.
+export const postTranscription = async ({ label, url, headers = {}, audio, fields, timeout }) => {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    let fileStream = null;
+    try {
+      console.log(`[${label}] Attempt ${attempt}/${maxRetries}`);
+      console.log(`[${label}] Sending request with file size: ${(audio.size / 1024).toFixed(2)} KB`);
+      const startTime = Date.now();
+
+      // Use form-data for multipart form upload
+      const formData = new FormData();
+      fileStream = await audio.openStream();
+      formData.append('file', fileStream, {
+        filename: audio.filename,
+        contentType: audio.contentType,
+        knownLength: audio.size
+      });
+      for (const [name, value] of Object.entries(fields)) {
+        for (const item of [].concat(value)) {
+          if (item) {
+            formData.append(name, item);
+          }
+        }
+      }
+
+      const response = await axios.post(url, formData, {
+        headers: {
+          ...headers,
+          ...formData.getHeaders()
+        },
+        timeout,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.log(`[${label}] Transcription successful in ${duration}s`);
+      return response.data;
+    } catch (error) {
+      lastError = error;
+      const errorMessage = error.message || 'Unknown error';
+      const errorCode = error.code || error.cause?.code || error.error?.code;
+      const statusCode = error.response?.status || error.status;
+
+      // Check for rate limiting (429) or connection errors
+      const isRateLimit = statusCode === 429;
+      const isConnectionError = errorCode === 'ECONNRESET' ||
+                                errorCode === 'ETIMEDOUT' ||
+                                errorMessage.includes('Connection') ||
+                                errorMessage.includes('socket hang up') ||
+                                errorMessage.includes('timeout');
+
+      console.error(`[${label}] Attempt ${attempt} failed:`, errorMessage);
+      if (errorCode) {
+        console.error(`[${label}] Error code: ${errorCode}`);
+      }
+      if (statusCode) {
+        console.error(`[${label}] HTTP status: ${statusCode}`);
+      }
+
+      // Handle rate limiting with longer backoff
+      if (attempt < maxRetries && isRateLimit) {
+        // For rate limits, use longer exponential backoff: 10s, 20s, 40s
+        const waitTime = Math.min(attempt * 10000, 60000); // Cap at 60 seconds
+        console.log(`[${label}] Rate limit detected (429). Retrying in ${waitTime/1000}s...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        continue;
+      }
+
+      // Handle connection errors with shorter backoff
+      if (attempt < maxRetries && isConnectionError) {
+        const waitTime = attempt * 3000; // Exponential backoff: 3s, 6s, 9s
+        console.log(`[${label}] Connection error detected. Retrying in ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        continue;
+      }
+
+      // If it's the last attempt or not a retryable error, throw
+      if (attempt === maxRetries) {
+        if (isRateLimit) {
+          throw new Error(`Transcription failed: Rate limit exceeded. Please try again in a few minutes.`);
+        }
+        throw new Error(`Transcription failed after ${maxRetries} attempts: ${errorMessage}`);
+      }
+      throw new Error(`Transcription failed: ${errorMessage}`);
+    } finally {
+      // Ensure stream is closed
+      fileStream?.destroy();
+    }
+  }
+
+  // Should never reach here, but just in case
+  throw new Error(`Transcription failed after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
+};
+
+const isTimed = (item) => Number.isFinite(item?.start) && Number.isFinite(item?.end);
+
+const toWord = (word) => ({ word: String(word.word).trim(), start: word.start, end: word.end });
+
+// Timed segments of a verbose response, each with its words when the server
+// sent them. Words come inside the segments from some servers and as one
+// top-level list from the OpenAI API; those go to the segment they start in.
+const parseSegments = (data) => {
+  if (!Array.isArray(data?.segments)) {
+    return [];
+  }
+
+  const segments = data.segments
+    .filter(segment => isTimed(segment) && typeof segment.text === 'string')
+    .map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+      words: (segment.words || []).filter(isTimed).map(toWord)
+    }));
+
+  for (const word of (Array.isArray(data.words) ? data.words : []).filter(isTimed)) {
+    const segment = segments.findLast(candidate => candidate.start <= word.start) || segments[0];
+    if (segment && !segment.words.some(existing => existing.start === word.start)) {
+      segment.words.push(toWord(word));
+    }
+  }
+
+  return segments.map(({ words, ...segment }) => (words.length > 0 ? { ...segment, words } : segment));
+};
+
+// Whisper endpoints answer with plain text or `{ text, language, segments }`
+// depending on the response format and server. Without a detected language
+// in the response, the one that was asked for is assumed.
+export const transcriptionResult = (data, requestedLanguage) => {
+  const text = typeof data === 'string' ? data : data?.text;
+  if (typeof text !== 'string') {
+    throw new Error('Transcription failed: the response contained no text');
+  }
+  return {
+    text: text.trim(),
+    language: whisperLanguageCode(data?.language) || requestedLanguage || null,
+    segments: parseSegments(data)
+  };
+};
@@ -0,0 +1,32 @@
+import { postTranscription, transcriptionResult } from './httpTranscription.js';
+import { WHISPER_FORMATS, WHISPER_LANGUAGES } from './whisper.js';
+
+// OpenAI's hosted Whisper. Audio leaves our infrastructure.
+
+export const createOpenAIProvider = ({ apiKey, model }) => ({
+  name: 'openai',
+  formats: WHISPER_FORMATS,
+  // The API rejects larger uploads
+  maxFileSize: 25 * 1024 * 1024,
+  languages: WHISPER_LANGUAGES,
+
+  transcribe: async (audio, { language }) => {
+    if (!apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const data = await postTranscription({
+      label: 'Whisper',
+      url: 'https://api.openai.com/v1/audio/transcriptions',
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      audio,
+      // Only whisper-1 reports the language it detected and timestamps;
+      // newer models only answer with the text
+      fields: model.startsWith('whisper')
+        ? { model, language, response_format: 'verbose_json', 'timestamp_granularities[]': ['segment', 'word'] }
+        : { model, language, response_format: 'json' },
+      timeout: 300000 // 5 minutes
+    });
+    return transcriptionResult(data, language);
+  }
+});
@@ -0,0 +1,52 @@
+// Joins the transcripts of overlapping chunks. The audio both chunks share
+// is transcribed twice, so the end of one transcript repeats at the start of
+// the next. The longest run of words the two have in common near the seam is
+// kept once. Words at a cut can come out garbled, which is why the run is
+// searched for instead of expected exactly at the edges.
+
+const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Longest common run of normalized words between `tail` and `head`:
+// { length, tailEnd, headEnd } with exclusive end indexes
+const longestCommonRun = (tail, head) => {
+  let best = { length: 0, tailEnd: 0, headEnd: 0 };
+  let previous = new Array(head.length + 1).fill(0);
+
+  for (let i = 1; i <= tail.length; i++) {
+    const current = new Array(head.length + 1).fill(0);
+    for (let j = 1; j <= head.length; j++) {
+      if (tail[i - 1] && tail[i - 1] === head[j - 1]) {
+        current[j] = previous[j - 1] + 1;
+        if (current[j] > best.length) {
+          best = { length: current[j], tailEnd: i, headEnd: j };
+        }
+      }
+    }
+    previous = current;
+  }
+  return best;
+};
+
+// `windowWords` is how far from the seam to look for the repeat, and
+// `minMatchWords` how many words must match before text is dropped
+export const stitchTranscripts = (texts, { windowWords = 40, minMatchWords = 3 } = {}) => {
+  let words = [];
+
+  for (const text of texts) {
+    const next = text.split(/\s+/).filter(Boolean);
+    const tailStart = Math.max(0, words.length - windowWords);
+    const tail = words.slice(tailStart).map(normalize);
+    const head = next.slice(0, windowWords).map(normalize);
+
+    const match = longestCommonRun(tail, head);
+    if (match.length >= minMatchWords) {
+      // Keep the earlier chunk up to the end of the repeat, then carry on
+      // with what the later chunk has after it
+      words = [...words.slice(0, tailStart + match.tailEnd), ...next.slice(match.headEnd)];
+    } else {
+      words = [...words, ...next];
+    }
+  }
+
+  return words.join(' ');
+};
@@ -0,0 +1,51 @@
+// What Whisper models accept, for the providers that run one
+
+// File types the Whisper API takes as they are
+export const WHISPER_FORMATS = ['.flac', '.m4a', '.mp3', '.mp4', '.mpeg', '.mpga', '.oga', '.ogg', '.wav', '.webm'];
+
+// Languages Whisper can transcribe, by the code it takes as `language`
+const WHISPER_LANGUAGE_NAMES = {
+  af: 'afrikaans', am: 'amharic', ar: 'arabic', as: 'assamese', az: 'azerbaijani', ba: 'bashkir',
+  be: 'belarusian', bg: 'bulgarian', bn: 'bengali', bo: 'tibetan', br: 'breton', bs: 'bosnian',
+  ca: 'catalan', cs: 'czech', cy: 'welsh', da: 'danish', de: 'german', el: 'greek', en: 'english',
+  es: 'spanish', et: 'estonian', eu: 'basque', fa: 'persian', fi: 'finnish', fo: 'faroese', fr: 'french',
+  gl: 'galician', gu: 'gujarati', ha: 'hausa', haw: 'hawaiian', he: 'hebrew', hi: 'hindi', hr: 'croatian',
+  ht: 'haitian creole', hu: 'hungarian', hy: 'armenian', id: 'indonesian', is: 'icelandic', it: 'italian',
+  ja: 'japanese', jw: 'javanese', ka: 'georgian', kk: 'kazakh', km: 'khmer', kn: 'kannada', ko: 'korean',
+  la: 'latin', lb: 'luxembourgish', ln: 'lingala', lo: 'lao', lt: 'lithuanian', lv: 'latvian',
+  mg: 'malagasy', mi: 'maori', mk: 'macedonian', ml: 'malayalam', mn: 'mongolian', mr: 'marathi',
+  ms: 'malay', mt: 'maltese', my: 'myanmar', ne: 'nepali', nl: 'dutch', nn: 'nynorsk', no: 'norwegian',
+  oc: 'occitan', pa: 'punjabi', pl: 'polish', ps: 'pashto', pt: 'portuguese', ro: 'romanian',
+  ru: 'russian', sa: 'sanskrit', sd: 'sindhi', si: 'sinhala', sk: 'slovak', sl: 'slovenian', sn: 'shona',
+  so: 'somali', sq: 'albanian', sr: 'serbian', su: 'sundanese', sv: 'swedish', sw: 'swahili', ta: 'tamil',
+  te: 'telugu', tg: 'tajik', th: 'thai', tk: 'turkmen', tl: 'tagalog', tr: 'turkish', tt: 'tatar',
+  uk: 'ukrainian', ur: 'urdu', uz: 'uzbek', vi: 'vietnamese', yi: 'yiddish', yo: 'yoruba',
+  yue: 'cantonese', zh: 'chinese'
+};
+
+export const WHISPER_LANGUAGES = Object.keys(WHISPER_LANGUAGE_NAMES);
+
+// Other names Whisper (and servers built on it) report
+const ALIASES = {
+  burmese: 'my', castilian: 'es', flemish: 'nl', haitian: 'ht', letzeburgesch: 'lb', mandarin: 'zh',
+  moldavian: 'ro', moldovan: 'ro', panjabi: 'pa', pushto: 'ps', sinhalese: 'si', valencian: 'ca'
+};
+
+const CODES_BY_NAME = {
+  ...Object.fromEntries(Object.entries(WHISPER_LANGUAGE_NAMES).map(([code, name]) => [name, code])),
+  ...ALIASES
+};
+
+// Language code for the detected language in a Whisper response, which
+// is a name ("spanish") from the OpenAI API and whisper.cpp, and a code
+// from some other servers. Null if it isn't recognised.
+export const whisperLanguageCode = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  if (WHISPER_LANGUAGE_NAMES[normalized]) {
+    return normalized;
+  }
+  return CODES_BY_NAME[normalized] || null;
+};
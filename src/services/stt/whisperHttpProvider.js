@@ -0,0 +1,35 @@
+import { postTranscription, transcriptionResult } from './httpTranscription.js';
+import { WHISPER_FORMATS, WHISPER_LANGUAGES } from './whisper.js';
+
+// A Whisper server we run ourselves, so audio never leaves our
+// infrastructure. Works with anything that takes a multipart `file` upload
+// and returns `{ text }`, ideally with the detected `language` and timed
+// `segments`:
+//   whisper.cpp server       http://host:8080/inference (start it with --convert)
+//   faster-whisper servers   http://host:8000/v1/audio/transcriptions
+// with the OpenAI-compatible ones also needing WHISPER_HTTP_MODEL.
+
+export const createWhisperHttpProvider = ({ url, apiKey, model, maxFileSize, timeout }) => {
+  if (!url) {
+    throw new Error('WHISPER_HTTP_URL is required when STT_PROVIDER=whisper-http');
+  }
+
+  return {
+    name: 'whisper-http',
+    formats: WHISPER_FORMATS,
+    maxFileSize,
+    languages: WHISPER_LANGUAGES,
+
+    transcribe: async (audio, { language }) => {
+      const data = await postTranscription({
+        label: 'Whisper HTTP',
+        url,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        audio,
+        fields: { model, language, response_format: 'verbose_json', 'timestamp_granularities[]': ['segment', 'word'] },
+        timeout
+      });
+      return transcriptionResult(data, language);
+    }
+  };
+};
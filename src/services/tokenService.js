@@ -0,0 +1,252 @@
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getUserById, updateUser } from './userService.js';
+import { createKeyedLock } from '../utils/keyedLock.js';
+import { writeJsonAtomic } from '../utils/atomicFile.js';
+
+const refreshTokensDir = process.env.REFRESH_TOKENS_DIR || './data/refresh-tokens';
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_HASHES = 20;
+
+// Ensure refresh tokens directory exists
+if (!fs.existsSync(refreshTokensDir)) {
+  fs.mkdirSync(refreshTokensDir, { recursive: true });
+}
+
+// Each login starts a token family (one per device). The refresh token
+// rotates on every use and only its hash is stored. Hashes of earlier tokens
+// are kept so that replaying an old token can be detected, which revokes the
+// whole family.
+
+const getFamilyPath = (familyId) => {
+  return path.join(refreshTokensDir, `${familyId}.json`);
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const loadFamily = (familyId) => {
+  const familyPath = getFamilyPath(familyId);
+  if (!fs.existsSync(familyPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(familyPath, 'utf8'));
+};
+
+const saveFamily = (family) => {
+  writeJsonAtomic(getFamilyPath(family.id), family);
+};
+
+// Every family file, skipping ones that can't be read so a single corrupt
+// file doesn't block logout or account deletion for everyone
+const listFamilies = () => {
+  const families = [];
+  for (const file of fs.readdirSync(refreshTokensDir)) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    const filePath = path.join(refreshTokensDir, file);
+    try {
+      families.push({ filePath, family: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+    } catch (error) {
+      console.warn(`⚠️ [Tokens] Skipping unreadable refresh token family ${file}: ${error.message}`);
+    }
+  }
+  return families;
+};
+
+// Rotation reads, checks and rewrites a family, so writes to one family
+// must not interleave
+const withFamilyLock = createKeyedLock();
+
+const invalidRefreshToken = (message = 'Invalid refresh token') => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+export const createRefreshToken = async (userId, tokenVersion = 0) => {
+  const familyId = uuidv4();
+  const secret = newSecret();
+  const now = new Date();
+
+  const family = {
+    id: familyId,
+    userId,
+    tokenVersion,
+    tokenHash: hashToken(secret),
+    previousTokenHashes: [],
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL).toISOString(),
+    revokedAt: null
+  };
+  saveFamily(family);
+
+  return {
+    familyId,
+    refreshToken: `${familyId}.${secret}`,
+    expiresAt: family.expiresAt
+  };
+};
+
+// The result of each rotation is kept for a few seconds, keyed by the hash
+// of the token it replaced. A client that sends two requests with the same
+// token at once gets the same new token for both, instead of the second
+// one being taken for reuse of a stolen token.
+const ROTATION_GRACE_MS = 10 * 1000;
+const recentRotations = new Map();
+
+const rememberRotation = (presentedHash, result) => {
+  recentRotations.set(presentedHash, result);
+  setTimeout(() => recentRotations.delete(presentedHash), ROTATION_GRACE_MS).unref();
+};
+
+const rotateFamily = async (familyId, secret) => {
+  const family = loadFamily(familyId);
+
+  if (!family || family.revokedAt) {
+    throw invalidRefreshToken();
+  }
+
+  if (new Date(family.expiresAt) <= new Date()) {
+    throw invalidRefreshToken('Refresh token expired');
+  }
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== family.tokenHash) {
+    const recent = recentRotations.get(presentedHash);
+    if (recent && recent.tokenHash === family.tokenHash) {
+      return recent.result;
+    }
+    if (family.previousTokenHashes.includes(presentedHash)) {
+      // An already-rotated token was used again: assume it was stolen
+      console.warn(`🚨 [Tokens] Refresh token reuse detected for user ${family.userId}, revoking family ${family.id}`);
+      family.revokedAt = new Date().toISOString();
+      saveFamily(family);
+    }
+    throw invalidRefreshToken();
+  }
+
+  const user = await getUserById(family.userId);
+  if (!user || (user.tokenVersion || 0) !== family.tokenVersion) {
+    throw invalidRefreshToken();
+  }
+
+  const nextSecret = newSecret();
+  const now = new Date();
+  family.previousTokenHashes = [family.tokenHash, ...family.previousTokenHashes].slice(0, MAX_PREVIOUS_HASHES);
+  family.tokenHash = hashToken(nextSecret);
+  family.lastUsedAt = now.toISOString();
+  family.expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL).toISOString();
+  saveFamily(family);
+
+  const result = {
+    user,
+    familyId,
+    refreshToken: `${familyId}.${nextSecret}`,
+    expiresAt: family.expiresAt
+  };
+  rememberRotation(presentedHash, { tokenHash: family.tokenHash, result });
+  return result;
+};
+
+// Exchange a refresh token for a new one in the same family. Rotations of
+// a family run one at a time.
+export const rotateRefreshToken = async (refreshToken) => {
+  const [familyId, secret] = String(refreshToken).split('.');
+  if (!familyId || !secret || !/^[0-9a-f-]{36}$/.test(familyId)) {
+    throw invalidRefreshToken();
+  }
+
+  return await withFamilyLock(familyId, () => rotateFamily(familyId, secret));
+};
+
+// Checked on every authenticated request, so the family is read without
+// blocking the event loop
+export const isRefreshFamilyActive = async (familyId) => {
+  let family;
+  try {
+    family = JSON.parse(await fs.promises.readFile(getFamilyPath(familyId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+  return Boolean(family && !family.revokedAt && new Date(family.expiresAt) > new Date());
+};
+
+export const revokeRefreshFamily = async (familyId) => {
+  await withFamilyLock(familyId, async () => {
+    const family = loadFamily(familyId);
+    if (family && !family.revokedAt) {
+      family.revokedAt = new Date().toISOString();
+      saveFamily(family);
+    }
+  });
+};
+
+const revokeUserRefreshFamilies = async (userId) => {
+  for (const { family } of listFamilies()) {
+    if (family.userId === userId && !family.revokedAt) {
+      await revokeRefreshFamily(family.id);
+    }
+  }
+};
+
+// Invalidate every access and refresh token the user holds. Access tokens
+// carry the user's token version, so bumping it rejects them immediately.
+export const revokeAllUserTokens = async (userId) => {
+  const updatedUser = await updateUser(userId, (user) => ({
+    tokenVersion: (user.tokenVersion || 0) + 1
+  }));
+  await revokeUserRefreshFamilies(userId);
+
+  console.log(`🔒 [Tokens] Revoked all tokens for user ${userId}`);
+  return updatedUser;
+};
+
+// Remove every refresh token family belonging to a deleted user
+export const deleteUserRefreshTokens = async (userId) => {
+  for (const { filePath, family } of listFamilies()) {
+    if (family.userId === userId) {
+      await withFamilyLock(family.id, async () => {
+        fs.rmSync(filePath, { force: true });
+      });
+    }
+  }
+};
+
+// Remove families past their expiry (run periodically). Their tokens are
+// rejected as expired anyway, and each login would otherwise leave a file
+// behind for good.
+export const cleanupExpiredRefreshTokens = async () => {
+  const now = new Date();
+
+  try {
+    for (const { filePath, family } of listFamilies()) {
+      if (new Date(family.expiresAt) > now) {
+        continue;
+      }
+      await withFamilyLock(family.id, async () => {
+        // A refresh may have extended it while we waited
+        const current = loadFamily(family.id);
+        if (current && new Date(current.expiresAt) <= now) {
+          fs.rmSync(filePath, { force: true });
+          console.log(`🧹 [Tokens] Cleaned up expired refresh token family ${family.id}`);
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error cleaning up refresh tokens:', error);
+  }
+};
+
+// Run cleanup every hour
+setInterval(cleanupExpiredRefreshTokens, 60 * 60 * 1000);
@@ -1,13 +1,28 @@
 import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
 import { getUserById } from './userService.js';
+import { writeMediaFile } from './mediaStorage.js';
+import { generatedAudioKey } from '../storage/blobs.js';
 
-const generatedAudioDir = process.env.GENERATED_AUDIO_DIR || './uploads/generated';
 const elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
 const elevenLabsVoiceId = process.env.ELEVENLABS_VOICE_ID;
 
-export const generateAudio = async (text, sessionId, userId = null) => {
+// Character timings from ElevenLabs, as parallel arrays: when each
+// character of the text starts and ends in the audio, in seconds
+const toAlignment = (alignment) => {
+  if (!alignment?.characters?.length) {
+    return null;
+  }
+  return {
+    characters: alignment.characters,
+    characterStartTimes: alignment.character_start_times_seconds,
+    characterEndTimes: alignment.character_end_times_seconds
+  };
+};
+
+// Speak `text` and store the audio. Returns the stored filename and the
+// character alignment of the text (null if ElevenLabs sent none). `part`
+// names a second track of the same session, such as its affirmation.
+export const generateAudio = async (text, sessionId, userId = null, part = null) => {
   if (!elevenLabsApiKey) {
     throw new Error('ElevenLabs API key not configured');
   }
@@ -32,7 +47,8 @@ export const generateAudio = async (text, sessionId, userId = null) => {
   }
 
   try {
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceIdToUse}`;
+    // The timestamped variant returns the audio as base64 with the alignment
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceIdToUse}/with-timestamps`;
     
     const response = await axios.post(
       url,
@@ -48,21 +64,19 @@ export const generateAudio = async (text, sessionId, userId = null) => {
       },
       {
         headers: {
-          'Accept': 'audio/mpeg',
+          'Accept': 'application/json',
           'Content-Type': 'application/json',
           'xi-api-key': elevenLabsApiKey
-        },
-        responseType: 'arraybuffer'
+        }
       }
     );
 
-    // Save the audio file
-    const filename = `reframed_${sessionId}_${Date.now()}.mp3`;
-    const filePath = path.join(generatedAudioDir, filename);
+    // Store the audio, encrypted with the user's data key
+    const filename = `reframed_${sessionId}_${part ? `${part}_` : ''}${Date.now()}.mp3`;
     
-    fs.writeFileSync(filePath, Buffer.from(response.data));
+    await writeMediaFile(generatedAudioKey(filename), Buffer.from(response.data.audio_base64, 'base64'), userId);
 
-    return filename;
+    return { filename, alignment: toAlignment(response.data.alignment) };
   } catch (error) {
     console.error('ElevenLabs TTS error:', error.response?.data || error.message);
     throw new Error(`TTS generation failed: ${error.response?.data?.detail?.message || error.message}`);
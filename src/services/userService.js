@@ -1,48 +1,17 @@
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcrypt';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { userRepository } from '../storage/index.js';
+import { createKeyedLock } from '../utils/keyedLock.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const usersDir = process.env.USERS_DIR || './data/users';
-
-// Ensure users directory exists
-if (!fs.existsSync(usersDir)) {
-  fs.mkdirSync(usersDir, { recursive: true });
-}
-
-const getUserPath = (userId) => {
-  return path.join(usersDir, `${userId}.json`);
-};
-
-const getUserByEmailPath = () => {
-  return path.join(usersDir, 'email_index.json');
-};
-
-// Load email index (maps email to userId)
-const loadEmailIndex = () => {
-  const indexPath = getUserByEmailPath();
-  if (fs.existsSync(indexPath)) {
-    const data = fs.readFileSync(indexPath, 'utf8');
-    return JSON.parse(data);
-  }
-  return {};
-};
-
-// Save email index
-const saveEmailIndex = (index) => {
-  const indexPath = getUserByEmailPath();
-  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+// The user as sent to clients: no password hash or encryption keys
+export const toPublicUser = (user) => {
+  const { password: _, dataKey: __, retiredDataKeys: ___, ...publicUser } = user;
+  return publicUser;
 };
 
 export const createUser = async (email, password, name) => {
   // Check if user already exists
-  const emailIndex = loadEmailIndex();
-  if (emailIndex[email.toLowerCase()]) {
+  if (await userRepository.findByEmail(email.toLowerCase())) {
     throw new Error('User with this email already exists');
   }
 
@@ -55,79 +24,98 @@ export const createUser = async (email, password, name) => {
     name: name || null,
     password: hashedPassword,
     voiceId: null, // ElevenLabs voice ID after voice cloning
+    emailVerified: false,
+    emailVerifiedAt: null,
+    deleteRecordingsAfterProcessing: false,
+    preferredLanguage: null, // Language code, 'auto', or null for the server default
+    reframingStyle: null, // Default reframing style, or null for a generic reframe
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 
-  // Save user
-  const userPath = getUserPath(userId);
-  fs.writeFileSync(userPath, JSON.stringify(user, null, 2));
-
-  // Update email index
-  emailIndex[email.toLowerCase()] = userId;
-  saveEmailIndex(emailIndex);
+  // Save user (the repository also rejects duplicate emails)
+  await userRepository.create(user);
 
-  // Return user without password
-  const { password: _, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+  return toPublicUser(user);
 };
 
 export const getUserByEmail = async (email) => {
-  const emailIndex = loadEmailIndex();
-  const userId = emailIndex[email.toLowerCase()];
-  
-  if (!userId) {
-    return null;
-  }
-
-  const userPath = getUserPath(userId);
-  if (!fs.existsSync(userPath)) {
-    return null;
-  }
-
-  const userData = fs.readFileSync(userPath, 'utf8');
-  return JSON.parse(userData);
+  return await userRepository.findByEmail(email.toLowerCase());
 };
 
 export const getUserById = async (userId) => {
-  const userPath = getUserPath(userId);
+  const user = await userRepository.findById(userId);
   
-  if (!fs.existsSync(userPath)) {
+  if (!user) {
     return null;
   }
 
-  const userData = fs.readFileSync(userPath, 'utf8');
-  const user = JSON.parse(userData);
-  
-  // Return user without password
-  const { password: _, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+  return toPublicUser(user);
+};
+
+// The stored record, including password hash and wrapped data keys. Never
+// send this to a client.
+export const getUserRecord = async (userId) => {
+  return await userRepository.findById(userId);
 };
 
 export const verifyPassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
+export const updatePassword = async (userId, newPassword) => {
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  return await updateUser(userId, { password: hashedPassword });
+};
+
+// Serialized per user, with a re-read and retry on a conflicting write from
+// another process, as in updateSession
+const withUserLock = createKeyedLock();
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// `updates` is an object to merge or a function of the current user
+// (including the password hash) that returns one
 export const updateUser = async (userId, updates) => {
-  const userPath = getUserPath(userId);
+  return await withUserLock(userId, async () => {
+    for (let attempt = 1; ; attempt++) {
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const changes = typeof updates === 'function' ? updates(user) : updates;
+
+      try {
+        const updatedUser = await userRepository.update({
+          ...user,
+          ...changes,
+          version: user.version,
+          updatedAt: new Date().toISOString()
+        });
+
+        return toPublicUser(updatedUser);
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT' || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  });
+};
+
+// Ids of every stored user, for maintenance commands
+export const getAllUserIds = async () => {
+  return (await userRepository.findAll()).map(user => user.id);
+};
+
+export const deleteUser = async (userId) => {
+  const user = await userRepository.findById(userId);
   
-  if (!fs.existsSync(userPath)) {
+  if (!user) {
     throw new Error('User not found');
   }
 
-  const userData = fs.readFileSync(userPath, 'utf8');
-  const user = JSON.parse(userData);
-
-  const updatedUser = {
-    ...user,
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
-
-  fs.writeFileSync(userPath, JSON.stringify(updatedUser, null, 2));
-
-  // Return user without password
-  const { password: _, ...userWithoutPassword } = updatedUser;
-  return userWithoutPassword;
+  await userRepository.delete(userId);
 };
-
@@ -1,13 +1,14 @@
 import axios from 'axios';
 import FormData from 'form-data';
-import fs from 'fs';
+import path from 'path';
+import { getMediaStats, createMediaReadStream } from './mediaStorage.js';
 
 const elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
 
 // Standard paragraph for voice cloning (approximately 200 words)
 const VOICE_CLONING_TEXT = `Welcome to the future of voice technology. This paragraph is designed to capture the unique characteristics of your voice, including your tone, pitch, rhythm, and pronunciation patterns. As you read these words, the advanced voice cloning system will learn to replicate your natural speaking style. The goal is to create a digital version of your voice that sounds remarkably similar to the real thing. This technology has applications in various fields, from accessibility features to creative content production. Your voice is unique, and this system aims to preserve its distinctive qualities while enabling new possibilities for communication and expression.`;
 
-export const createVoiceClone = async (audioFilePath, voiceName) => {
+export const createVoiceClone = async (audioKey, voiceName) => {
   if (!elevenLabsApiKey) {
     throw new Error('ElevenLabs API key not configured');
   }
@@ -16,9 +17,13 @@ export const createVoiceClone = async (audioFilePath, voiceName) => {
     // Create form data for multipart upload
     const formData = new FormData();
     
-    // Read the audio file
-    const audioFile = fs.createReadStream(audioFilePath);
-    formData.append('files', audioFile);
+    // Read the audio file (samples may be encrypted in storage)
+    const stats = await getMediaStats(audioKey);
+    const audioFile = await createMediaReadStream(audioKey);
+    formData.append('files', audioFile, {
+      filename: path.basename(audioKey),
+      knownLength: stats.size
+    });
     formData.append('name', voiceName || 'My Voice Clone');
     formData.append('description', 'Voice clone created from user recording');
 
@@ -61,6 +66,29 @@ export const createVoiceClone = async (audioFilePath, voiceName) => {
   }
 };
 
+export const deleteVoiceClone = async (voiceId) => {
+  if (!elevenLabsApiKey) {
+    throw new Error('ElevenLabs API key not configured');
+  }
+
+  try {
+    await axios.delete(`https://api.elevenlabs.io/v1/voices/${voiceId}`, {
+      headers: {
+        'xi-api-key': elevenLabsApiKey
+      },
+      timeout: 30000
+    });
+    console.log(`🗑️ [VoiceCloning] Deleted voice clone: ${voiceId}`);
+  } catch (error) {
+    // Already gone is fine
+    if (error.response?.status === 404) {
+      return;
+    }
+    const errorMsg = error.response?.data?.message || error.response?.data?.detail?.message || error.message;
+    throw new Error(`Voice deletion failed: ${errorMsg}`);
+  }
+};
+
 export const getVoiceCloningText = () => {
   return VOICE_CLONING_TEXT;
 };
@@ -0,0 +1,71 @@
+import path from 'path';
+import { createLocalBlobStore } from './localBlobStore.js';
+import { storageConfig } from './config.js';
+
+// Storage for audio files and data export archives, selected by
+// BLOB_STORAGE_DRIVER:
+//   local  files under UPLOAD_DIR, GENERATED_AUDIO_DIR and EXPORTS_DIR (default)
+//   s3     an S3 bucket or S3-compatible service (S3_BUCKET, S3_ENDPOINT, ...)
+//
+// Every blob store has the same async interface:
+//   put(key, body, { contentLength, contentType })
+//   createReadStream(key, { start, end })    inclusive byte range
+//   stat(key)                                { size, lastModified } or null
+//   exists(key), delete(key)
+//   list(prefix)                             [{ key, size, lastModified }]
+//   getSignedUrl(key, { expiresIn })         direct download URL, or null
+// Files are encrypted before they reach the store (see mediaStorage.js).
+const { blobDriver, uploadDir, generatedAudioDir, exportsDir, s3 } = storageConfig;
+
+const loadBlobStore = async () => {
+  switch (blobDriver) {
+    case 'local':
+      return createLocalBlobStore({
+        areas: {
+          recordings: uploadDir,
+          'voice-samples': path.join(uploadDir, 'voice-samples'),
+          generated: generatedAudioDir,
+          exports: exportsDir
+        }
+      });
+    case 's3': {
+      // Only load the AWS SDK when it is actually used
+      const { createS3BlobStore } = await import('./s3BlobStore.js');
+      return createS3BlobStore(s3);
+    }
+    default:
+      throw new Error(`Unknown BLOB_STORAGE_DRIVER: ${blobDriver}. Use 'local' or 's3'.`);
+  }
+};
+
+export const blobStore = await loadBlobStore();
+console.log(`💾 [Storage] Storing audio in ${blobDriver === 's3' ? `S3 bucket ${s3.bucket}` : 'local files'}`);
+
+// --- Keys ----------------------------------------------------------------------
+
+export const recordingKey = (sessionId, filename) => {
+  return `recordings/${sessionId}/${filename}`;
+};
+
+export const voiceSampleKey = (userId, filename) => {
+  return `voice-samples/${userId}/${filename}`;
+};
+
+export const generatedAudioKey = (filename) => {
+  return `generated/${filename}`;
+};
+
+export const exportArchiveKey = (userId, exportId) => {
+  return `exports/${userId}/${exportId}.zip`;
+};
+
+// Key of a session's recording. Recordings stored before blob storage only
+// have a file path, which the local store maps to the same key.
+export const getRecordingKey = (sessionId, audioFile) => {
+  return audioFile.key || recordingKey(sessionId, audioFile.filename || path.basename(audioFile.path));
+};
+
+// Key behind a session's `generatedAudioUrl` (`/uploads/<filename>`)
+export const getGeneratedAudioKey = (generatedAudioUrl) => {
+  return generatedAudioUrl ? generatedAudioKey(path.basename(generatedAudioUrl)) : null;
+};
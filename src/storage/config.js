@@ -0,0 +1,25 @@
+// Storage locations, shared by the app and the maintenance scripts
+export const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'json',
+  sessionsDir: process.env.SESSIONS_DIR || './data/sessions',
+  usersDir: process.env.USERS_DIR || './data/users',
+  lockoutDir: process.env.LOCKOUT_DIR || './data/lockouts',
+  // Data export records, and their archives with the local blob store
+  exportsDir: process.env.EXPORTS_DIR || './data/exports',
+  databasePath: process.env.DATABASE_PATH || './data/thoughts-reframed.db',
+
+  // Audio files (recordings, voice samples, generated audio)
+  blobDriver: process.env.BLOB_STORAGE_DRIVER || 'local',
+  uploadDir: process.env.UPLOAD_DIR || './uploads',
+  generatedAudioDir: process.env.GENERATED_AUDIO_DIR || './uploads/generated',
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for S3-compatible services such as MinIO
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || ''
+  }
+};
@@ -0,0 +1,16 @@
+// Thrown by a repository's `update` when the stored record's version no
+// longer matches the one the caller read, i.e. someone else wrote it first
+export const createVersionConflictError = (kind, id) => {
+  const error = new Error(`${kind} ${id} was modified by another request`);
+  error.status = 409;
+  error.code = 'VERSION_CONFLICT';
+  return error;
+};
+
+// Thrown when reading a blob that doesn't exist
+export const createBlobNotFoundError = (key) => {
+  const error = new Error(`Blob ${key} not found`);
+  error.status = 404;
+  error.code = 'BLOB_NOT_FOUND';
+  return error;
+};
@@ -0,0 +1,32 @@
+import { createJsonRepositories } from './jsonRepositories.js';
+import { storageConfig } from './config.js';
+
+// Storage backend for sessions, users, login lockouts and data exports,
+// selected by STORAGE_DRIVER:
+//   json    one JSON file per record under SESSIONS_DIR / USERS_DIR /
+//           LOCKOUT_DIR / EXPORTS_DIR (default)
+//   sqlite  a single SQLite database at DATABASE_PATH
+// Move existing data between the two with `npm run migrate:storage`.
+const { driver, sessionsDir, usersDir, lockoutDir, exportsDir, databasePath } = storageConfig;
+
+const loadRepositories = async () => {
+  switch (driver) {
+    case 'json':
+      return createJsonRepositories({ sessionsDir, usersDir, lockoutDir, exportsDir });
+    case 'sqlite': {
+      // Only load the native SQLite binding when it is actually used
+      const { createSqliteRepositories } = await import('./sqliteRepositories.js');
+      return createSqliteRepositories(databasePath);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use 'json' or 'sqlite'.`);
+  }
+};
+
+const repositories = await loadRepositories();
+console.log(`💾 [Storage] Using ${driver} storage`);
+
+export const sessionRepository = repositories.sessions;
+export const userRepository = repositories.users;
+export const lockoutRepository = repositories.lockouts;
+export const exportRepository = repositories.exports;
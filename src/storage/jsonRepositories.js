@@ -0,0 +1,313 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic, withFileLock } from '../utils/atomicFile.js';
+import { createVersionConflictError } from './errors.js';
+
+// One JSON file per record. Lookups by anything other than id scan the
+// whole directory, which is fine for development and small deployments.
+// Files are replaced atomically, and `update` holds a per-record lock file
+// while it checks the version, so concurrent writers can't lose updates.
+
+const ensureDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+};
+
+const readJson = (filePath) => {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const writeJson = (filePath, data) => {
+  writeJsonAtomic(filePath, data);
+};
+
+const getVersion = (record) => {
+  return record.version ?? 0;
+};
+
+// Write `record` only if the stored copy still has the version the caller
+// read. Returns the record as stored, with its version bumped.
+const updateVersioned = async (filePath, record, kind) => {
+  return await withFileLock(`${filePath}.lock`, async () => {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`${kind} not found`);
+    }
+
+    const stored = readJson(filePath);
+    if (getVersion(stored) !== getVersion(record)) {
+      throw createVersionConflictError(kind, record.id);
+    }
+
+    const updated = { ...record, version: getVersion(record) + 1 };
+    writeJson(filePath, updated);
+    return updated;
+  });
+};
+
+export const createJsonSessionRepository = (sessionsDir) => {
+  ensureDir(sessionsDir);
+
+  const getSessionPath = (sessionId) => {
+    return path.join(sessionsDir, `${sessionId}.json`);
+  };
+
+  const readAll = () => {
+    return fs.readdirSync(sessionsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJson(path.join(sessionsDir, file)));
+  };
+
+  return {
+    create: async (session) => {
+      writeJson(getSessionPath(session.id), session);
+      return session;
+    },
+
+    findById: async (sessionId) => {
+      const sessionPath = getSessionPath(sessionId);
+      return fs.existsSync(sessionPath) ? readJson(sessionPath) : null;
+    },
+
+    update: async (session) => {
+      return await updateVersioned(getSessionPath(session.id), session, 'Session');
+    },
+
+    // Unconditional write, for migrations
+    save: async (session) => {
+      writeJson(getSessionPath(session.id), session);
+      return session;
+    },
+
+    delete: async (sessionId) => {
+      fs.rmSync(getSessionPath(sessionId), { force: true });
+    },
+
+    // Newest first
+    findByUserId: async (userId) => {
+      return readAll()
+        .filter(session => session.userId === userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    findByStatus: async (statuses) => {
+      return readAll().filter(session => statuses.includes(session.status));
+    },
+
+    findAll: async () => {
+      return readAll();
+    }
+  };
+};
+
+export const createJsonUserRepository = (usersDir) => {
+  ensureDir(usersDir);
+
+  const emailIndexPath = path.join(usersDir, 'email_index.json');
+  const emailIndexLockPath = `${emailIndexPath}.lock`;
+
+  const getUserPath = (userId) => {
+    return path.join(usersDir, `${userId}.json`);
+  };
+
+  // Email index maps email to userId
+  const loadEmailIndex = () => {
+    return fs.existsSync(emailIndexPath) ? readJson(emailIndexPath) : {};
+  };
+
+  const saveEmailIndex = (index) => {
+    writeJson(emailIndexPath, index);
+  };
+
+  // Every read-modify-write of the index holds its lock, so concurrent
+  // signups can't overwrite each other's entries
+  const withEmailIndex = async (fn) => {
+    return await withFileLock(emailIndexLockPath, async () => {
+      const emailIndex = loadEmailIndex();
+      const result = await fn(emailIndex);
+      saveEmailIndex(emailIndex);
+      return result;
+    });
+  };
+
+  // Point the index at the user's current email, dropping any old entry
+  const indexEmail = (emailIndex, user) => {
+    const owner = emailIndex[user.email];
+    if (owner && owner !== user.id) {
+      throw new Error('User with this email already exists');
+    }
+    for (const [email, id] of Object.entries(emailIndex)) {
+      if (id === user.id && email !== user.email) {
+        delete emailIndex[email];
+      }
+    }
+    emailIndex[user.email] = user.id;
+  };
+
+  const findById = async (userId) => {
+    const userPath = getUserPath(userId);
+    return fs.existsSync(userPath) ? readJson(userPath) : null;
+  };
+
+  return {
+    create: async (user) => {
+      return await withEmailIndex(async (emailIndex) => {
+        if (emailIndex[user.email]) {
+          throw new Error('User with this email already exists');
+        }
+
+        writeJson(getUserPath(user.id), user);
+        emailIndex[user.email] = user.id;
+        return user;
+      });
+    },
+
+    findById,
+
+    findByEmail: async (email) => {
+      const userId = loadEmailIndex()[email];
+      return userId ? await findById(userId) : null;
+    },
+
+    update: async (user) => {
+      const stored = await findById(user.id);
+      if (stored && stored.email !== user.email) {
+        return await withEmailIndex(async (emailIndex) => {
+          indexEmail(emailIndex, user);
+          return await updateVersioned(getUserPath(user.id), user, 'User');
+        });
+      }
+      return await updateVersioned(getUserPath(user.id), user, 'User');
+    },
+
+    // Unconditional write, for migrations
+    save: async (user) => {
+      return await withEmailIndex(async (emailIndex) => {
+        indexEmail(emailIndex, user);
+        writeJson(getUserPath(user.id), user);
+        return user;
+      });
+    },
+
+    delete: async (userId) => {
+      const user = await findById(userId);
+      if (!user) {
+        return;
+      }
+
+      // Remove from email index first so the address can't resolve to a missing file
+      await withEmailIndex(async (emailIndex) => {
+        if (emailIndex[user.email] === userId) {
+          delete emailIndex[user.email];
+        }
+      });
+      fs.rmSync(getUserPath(userId), { force: true });
+    },
+
+    findAll: async () => {
+      return fs.readdirSync(usersDir)
+        .filter(file => file.endsWith('.json') && file !== 'email_index.json')
+        .map(file => readJson(path.join(usersDir, file)));
+    }
+  };
+};
+
+export const createJsonLockoutRepository = (lockoutDir) => {
+  ensureDir(lockoutDir);
+
+  const getLockoutPath = (email) => {
+    // Use a hash of email for filename (basic security)
+    const hash = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+    return path.join(lockoutDir, `${hash}.json`);
+  };
+
+  return {
+    findByEmail: async (email) => {
+      const lockoutPath = getLockoutPath(email);
+      return fs.existsSync(lockoutPath) ? readJson(lockoutPath) : null;
+    },
+
+    save: async (lockout) => {
+      writeJson(getLockoutPath(lockout.email), lockout);
+      return lockout;
+    },
+
+    delete: async (email) => {
+      fs.rmSync(getLockoutPath(email), { force: true });
+    },
+
+    // Unreadable files are logged and skipped so one bad file can't block cleanup
+    findAll: async () => {
+      const lockouts = [];
+      for (const file of fs.readdirSync(lockoutDir)) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+        try {
+          lockouts.push(readJson(path.join(lockoutDir, file)));
+        } catch (error) {
+          console.error(`Error reading lockout file ${file}:`, error);
+        }
+      }
+      return lockouts;
+    }
+  };
+};
+
+export const createJsonExportRepository = (exportsDir) => {
+  ensureDir(exportsDir);
+
+  const getExportPath = (exportId) => {
+    return path.join(exportsDir, `${exportId}.json`);
+  };
+
+  // Unreadable files are logged and skipped so one bad file can't block cleanup
+  const readAll = () => {
+    const records = [];
+    for (const file of fs.readdirSync(exportsDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        records.push(readJson(path.join(exportsDir, file)));
+      } catch (error) {
+        console.error(`Error reading export file ${file}:`, error);
+      }
+    }
+    return records;
+  };
+
+  return {
+    findById: async (exportId) => {
+      const exportPath = getExportPath(exportId);
+      return fs.existsSync(exportPath) ? readJson(exportPath) : null;
+    },
+
+    save: async (record) => {
+      writeJson(getExportPath(record.id), record);
+      return record;
+    },
+
+    delete: async (exportId) => {
+      fs.rmSync(getExportPath(exportId), { force: true });
+    },
+
+    findByUserId: async (userId) => {
+      return readAll().filter(record => record.userId === userId);
+    },
+
+    findAll: async () => {
+      return readAll();
+    }
+  };
+};
+
+export const createJsonRepositories = ({ sessionsDir, usersDir, lockoutDir, exportsDir }) => {
+  return {
+    sessions: createJsonSessionRepository(sessionsDir),
+    users: createJsonUserRepository(usersDir),
+    lockouts: createJsonLockoutRepository(lockoutDir),
+    exports: createJsonExportRepository(exportsDir)
+  };
+};
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { createBlobNotFoundError } from './errors.js';
+
+// Blobs as files on the local disk. The first segment of a key picks the
+// directory it lives in (`areas`), so existing upload directories keep their
+// layout: `recordings/<sessionId>/<file>` is `<UPLOAD_DIR>/<sessionId>/<file>`.
+// Only usable when every server instance shares the same disk.
+
+export const createLocalBlobStore = ({ areas }) => {
+  const roots = Object.fromEntries(
+    Object.entries(areas).map(([area, dir]) => [area, path.resolve(dir)])
+  );
+  const allRoots = new Set(Object.values(roots));
+
+  const resolve = (key) => {
+    const [area, ...rest] = key.split('/');
+    const root = roots[area];
+    const filePath = root && rest.length > 0 ? path.resolve(root, ...rest) : null;
+    // Keys never leave their area's directory
+    if (!filePath || !filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Files under `dir` as keys. Other areas' directories may be nested inside
+  // this one (uploads/generated); they are skipped, as are temporary files.
+  const walk = (area, dir, relative = []) => {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const keys = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      if (entry.isDirectory() && !allRoots.has(entryPath)) {
+        keys.push(...walk(area, entryPath, [...relative, entry.name]));
+      } else if (entry.isFile()) {
+        keys.push([area, ...relative, entry.name].join('/'));
+      }
+    }
+    return keys;
+  };
+
+  const stat = async (key) => {
+    const filePath = resolve(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const stats = fs.statSync(filePath);
+    return { size: stats.size, lastModified: stats.mtime };
+  };
+
+  return {
+    driver: 'local',
+
+    // `body` is a Buffer or a readable stream. The file is written next to
+    // its destination and renamed into place, so readers never see half of it.
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      try {
+        if (Buffer.isBuffer(body)) {
+          fs.writeFileSync(tempPath, body);
+        } else {
+          await pipeline(body, fs.createWriteStream(tempPath));
+        }
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    // `start` and `end` are inclusive byte offsets, both optional
+    createReadStream: async (key, { start, end } = {}) => {
+      const filePath = resolve(key);
+      if (!fs.existsSync(filePath)) {
+        throw createBlobNotFoundError(key);
+      }
+      return fs.createReadStream(filePath, { start, end });
+    },
+
+    stat,
+
+    exists: async (key) => {
+      return (await stat(key)) !== null;
+    },
+
+    // Removes the file and any directories it leaves empty inside its area
+    delete: async (key) => {
+      const filePath = resolve(key);
+      fs.rmSync(filePath, { force: true });
+
+      const root = roots[key.split('/')[0]];
+      let dir = path.dirname(filePath);
+      while (dir !== root && !allRoots.has(dir) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+      }
+    },
+
+    // Every blob whose key starts with `prefix`, e.g. `recordings/` or
+    // `voice-samples/<userId>/`
+    list: async (prefix) => {
+      const area = prefix.split('/')[0];
+      if (!roots[area]) {
+        return [];
+      }
+
+      const blobs = [];
+      for (const key of walk(area, roots[area]).filter(key => key.startsWith(prefix))) {
+        blobs.push({ key, ...(await stat(key)) });
+      }
+      return blobs;
+    },
+
+    // Local files have no URL of their own; the app serves them
+    getSignedUrl: async () => {
+      return null;
+    }
+  };
+};
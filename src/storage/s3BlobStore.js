@@ -0,0 +1,117 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createBlobNotFoundError } from './errors.js';
+
+// Blobs as objects in an S3 bucket, or any S3-compatible service (MinIO,
+// R2, ...) via S3_ENDPOINT. Keys are used as object keys below S3_PREFIX.
+// Every server instance sees the same objects, so the app can be scaled out.
+
+const isNotFound = (error) => {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+};
+
+export const createS3BlobStore = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when BLOB_STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Streamed uploads otherwise use aws-chunked encoding with trailing
+    // checksums, which not every S3-compatible service understands
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    // Without explicit keys the SDK's default chain applies (env, IAM role)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    driver: 's3',
+
+    // Streams need `contentLength`: S3 won't accept a body of unknown size
+    // in a single PUT
+    put: async (key, body, { contentLength, contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentLength: Buffer.isBuffer(body) ? body.length : contentLength,
+        ContentType: contentType
+      }));
+    },
+
+    // `start` and `end` are inclusive byte offsets, both optional
+    createReadStream: async (key, { start, end } = {}) => {
+      const range = start === undefined && end === undefined
+        ? undefined
+        : `bytes=${start || 0}-${end === undefined ? '' : end}`;
+
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range: range }));
+        return object.Body;
+      } catch (error) {
+        if (isNotFound(error)) {
+          throw createBlobNotFoundError(key);
+        }
+        throw error;
+      }
+    },
+
+    stat,
+
+    exists: async (key) => {
+      return (await stat(key)) !== null;
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    // Every blob whose key starts with `prefix`
+    list: async (keyPrefix) => {
+      const blobs = [];
+      let continuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(keyPrefix),
+          ContinuationToken: continuationToken
+        }));
+        for (const object of page.Contents || []) {
+          blobs.push({ key: object.Key.slice(prefix.length), size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return blobs;
+    },
+
+    // Presigned GET, so clients can download straight from the bucket
+    getSignedUrl: async (key, { expiresIn }) => {
+      return await getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), { expiresIn });
+    }
+  };
+};
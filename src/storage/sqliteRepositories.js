@@ -0,0 +1,336 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { createVersionConflictError } from './errors.js';
+
+// Records are stored whole as JSON in `data`. The columns next to it exist
+// for lookups and indexes, so new record fields need no schema change.
+// `update` only matches the row while its stored version is the one the
+// caller read, which also holds across processes sharing the database.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    status TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS lockouts (
+    email TEXT PRIMARY KEY,
+    locked_until TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS exports (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_created ON sessions (user_id, created_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions (status);
+  CREATE INDEX IF NOT EXISTS idx_exports_user ON exports (user_id);
+`;
+
+// An in-memory copy of an existing database. The file is only opened
+// read-only, so reads that must leave it untouched (a migration dry run)
+// can still use the repositories, which need the schema.
+export const openDatabaseCopy = (databasePath) => {
+  const source = new Database(databasePath, { readonly: true, fileMustExist: true });
+  const db = new Database(source.serialize());
+  source.close();
+  db.exec(SCHEMA);
+  return db;
+};
+
+export const openDatabase = (databasePath) => {
+  const dir = path.dirname(databasePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  return db;
+};
+
+const fromRow = (row) => {
+  return row ? JSON.parse(row.data) : null;
+};
+
+// Versions live inside the JSON; records written before versioning count as 0
+const VERSION_MATCHES = "COALESCE(json_extract(data, '$.version'), 0) = @expectedVersion";
+
+const getVersion = (record) => {
+  return record.version ?? 0;
+};
+
+export const createSqliteSessionRepository = (db) => {
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO sessions (id, user_id, status, created_at, updated_at, data)
+      VALUES (@id, @userId, @status, @createdAt, @updatedAt, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        user_id = excluded.user_id,
+        status = excluded.status,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `),
+    insert: db.prepare(`
+      INSERT INTO sessions (id, user_id, status, created_at, updated_at, data)
+      VALUES (@id, @userId, @status, @createdAt, @updatedAt, @data)
+    `),
+    update: db.prepare(`
+      UPDATE sessions SET
+        user_id = @userId,
+        status = @status,
+        updated_at = @updatedAt,
+        data = @data
+      WHERE id = @id AND ${VERSION_MATCHES}
+    `),
+    exists: db.prepare('SELECT 1 FROM sessions WHERE id = ?'),
+    findById: db.prepare('SELECT data FROM sessions WHERE id = ?'),
+    findByUserId: db.prepare('SELECT data FROM sessions WHERE user_id = ? ORDER BY created_at DESC'),
+    findAll: db.prepare('SELECT data FROM sessions'),
+    delete: db.prepare('DELETE FROM sessions WHERE id = ?')
+  };
+
+  const toRow = (session) => ({
+    id: session.id,
+    userId: session.userId ?? null,
+    status: session.status ?? null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt ?? null,
+    data: JSON.stringify(session)
+  });
+
+  return {
+    create: async (session) => {
+      statements.insert.run(toRow(session));
+      return session;
+    },
+
+    findById: async (sessionId) => {
+      return fromRow(statements.findById.get(sessionId));
+    },
+
+    update: async (session) => {
+      const updated = { ...session, version: getVersion(session) + 1 };
+      const { changes } = statements.update.run({ ...toRow(updated), expectedVersion: getVersion(session) });
+      if (changes === 0) {
+        if (!statements.exists.get(session.id)) {
+          throw new Error('Session not found');
+        }
+        throw createVersionConflictError('Session', session.id);
+      }
+      return updated;
+    },
+
+    // Unconditional write, for migrations
+    save: async (session) => {
+      statements.upsert.run(toRow(session));
+      return session;
+    },
+
+    delete: async (sessionId) => {
+      statements.delete.run(sessionId);
+    },
+
+    // Newest first
+    findByUserId: async (userId) => {
+      return statements.findByUserId.all(userId).map(fromRow);
+    },
+
+    findByStatus: async (statuses) => {
+      if (statuses.length === 0) {
+        return [];
+      }
+      const placeholders = statuses.map(() => '?').join(', ');
+      return db.prepare(`SELECT data FROM sessions WHERE status IN (${placeholders})`)
+        .all(...statuses)
+        .map(fromRow);
+    },
+
+    findAll: async () => {
+      return statements.findAll.all().map(fromRow);
+    }
+  };
+};
+
+export const createSqliteUserRepository = (db) => {
+  const statements = {
+    insert: db.prepare('INSERT INTO users (id, email, created_at, data) VALUES (@id, @email, @createdAt, @data)'),
+    save: db.prepare('UPDATE users SET email = @email, data = @data WHERE id = @id'),
+    update: db.prepare(`UPDATE users SET email = @email, data = @data WHERE id = @id AND ${VERSION_MATCHES}`),
+    exists: db.prepare('SELECT 1 FROM users WHERE id = ?'),
+    findById: db.prepare('SELECT data FROM users WHERE id = ?'),
+    findByEmail: db.prepare('SELECT data FROM users WHERE email = ?'),
+    findAll: db.prepare('SELECT data FROM users'),
+    delete: db.prepare('DELETE FROM users WHERE id = ?')
+  };
+
+  const toRow = (user) => ({
+    id: user.id,
+    email: user.email,
+    createdAt: user.createdAt,
+    data: JSON.stringify(user)
+  });
+
+  // Email is the only unique column besides the id
+  const runUnique = (statement, params) => {
+    try {
+      return statement.run(params);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new Error('User with this email already exists');
+      }
+      throw error;
+    }
+  };
+
+  return {
+    create: async (user) => {
+      runUnique(statements.insert, toRow(user));
+      return user;
+    },
+
+    findById: async (userId) => {
+      return fromRow(statements.findById.get(userId));
+    },
+
+    findByEmail: async (email) => {
+      return fromRow(statements.findByEmail.get(email));
+    },
+
+    update: async (user) => {
+      const updated = { ...user, version: getVersion(user) + 1 };
+      const { changes } = runUnique(statements.update, { ...toRow(updated), expectedVersion: getVersion(user) });
+      if (changes === 0) {
+        if (!statements.exists.get(user.id)) {
+          throw new Error('User not found');
+        }
+        throw createVersionConflictError('User', user.id);
+      }
+      return updated;
+    },
+
+    // Unconditional write, for migrations
+    save: async (user) => {
+      runUnique(statements.save, toRow(user));
+      return user;
+    },
+
+    delete: async (userId) => {
+      statements.delete.run(userId);
+    },
+
+    findAll: async () => {
+      return statements.findAll.all().map(fromRow);
+    }
+  };
+};
+
+export const createSqliteLockoutRepository = (db) => {
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO lockouts (email, locked_until, data)
+      VALUES (@email, @lockedUntil, @data)
+      ON CONFLICT (email) DO UPDATE SET
+        locked_until = excluded.locked_until,
+        data = excluded.data
+    `),
+    findByEmail: db.prepare('SELECT data FROM lockouts WHERE email = ?'),
+    findAll: db.prepare('SELECT data FROM lockouts'),
+    delete: db.prepare('DELETE FROM lockouts WHERE email = ?')
+  };
+
+  return {
+    findByEmail: async (email) => {
+      return fromRow(statements.findByEmail.get(email.toLowerCase()));
+    },
+
+    save: async (lockout) => {
+      statements.upsert.run({
+        email: lockout.email.toLowerCase(),
+        lockedUntil: lockout.lockedUntil ?? null,
+        data: JSON.stringify(lockout)
+      });
+      return lockout;
+    },
+
+    delete: async (email) => {
+      statements.delete.run(email.toLowerCase());
+    },
+
+    findAll: async () => {
+      return statements.findAll.all().map(fromRow);
+    }
+  };
+};
+
+export const createSqliteExportRepository = (db) => {
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO exports (id, user_id, expires_at, data)
+      VALUES (@id, @userId, @expiresAt, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        expires_at = excluded.expires_at,
+        data = excluded.data
+    `),
+    findById: db.prepare('SELECT data FROM exports WHERE id = ?'),
+    findByUserId: db.prepare('SELECT data FROM exports WHERE user_id = ?'),
+    findAll: db.prepare('SELECT data FROM exports'),
+    delete: db.prepare('DELETE FROM exports WHERE id = ?')
+  };
+
+  return {
+    findById: async (exportId) => {
+      return fromRow(statements.findById.get(exportId));
+    },
+
+    save: async (record) => {
+      statements.upsert.run({
+        id: record.id,
+        userId: record.userId,
+        expiresAt: record.expiresAt ?? null,
+        data: JSON.stringify(record)
+      });
+      return record;
+    },
+
+    delete: async (exportId) => {
+      statements.delete.run(exportId);
+    },
+
+    findByUserId: async (userId) => {
+      return statements.findByUserId.all(userId).map(fromRow);
+    },
+
+    findAll: async () => {
+      return statements.findAll.all().map(fromRow);
+    }
+  };
+};
+
+// Pass `{ copy: true }` to work on an in-memory copy (see openDatabaseCopy)
+export const createSqliteRepositories = (databasePath, { copy = false } = {}) => {
+  const db = copy ? openDatabaseCopy(databasePath) : openDatabase(databasePath);
+  return {
+    db,
+    sessions: createSqliteSessionRepository(db),
+    users: createSqliteUserRepository(db),
+    lockouts: createSqliteLockoutRepository(db),
+    exports: createSqliteExportRepository(db)
+  };
+};
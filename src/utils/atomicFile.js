@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old belongs to a process that died while holding it
+const STALE_LOCK_MS = 30 * 1000;
+
+// Write to a temp file next to the target, then rename it into place.
+// Readers see the old file or the new one, never a half-written one.
+export const writeFileAtomic = (filePath, data) => {
+  const tempName = `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const tempPath = path.join(path.dirname(filePath), tempName);
+
+  try {
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+export const writeJsonAtomic = (filePath, value) => {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+};
+
+const isStaleLock = (lockPath) => {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+  } catch (error) {
+    // Released between our attempt and the stat; just try again
+    return false;
+  }
+};
+
+// Run `fn` while holding an exclusive lock file. The lock is a file created
+// with O_EXCL, so it also excludes other processes sharing the directory.
+export const withFileLock = async (lockPath, fn) => {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (isStaleLock(lockPath)) {
+        console.warn(`⚠️ [Storage] Removing stale lock ${lockPath}`);
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+};
@@ -31,6 +31,17 @@ export const validateEnv = () => {
     warnings.push('ELEVENLABS_VOICE_ID is not set. Users will need to clone their voice.');
   }
 
+  // Check reframing providers that need a key (the chain skips them, but every reframe pays for the failed attempt)
+  const reframingProviders = (process.env.REFRAMING_PROVIDERS || '').split(',').map(name => name.trim());
+  if ((reframingProviders.includes('anthropic') || process.env.USE_ANTHROPIC_FOR_REFRAMING === 'true') && !process.env.ANTHROPIC_API_KEY) {
+    warnings.push('ANTHROPIC_API_KEY is not set. Reframing with anthropic will fail.');
+  }
+
+  // Check ENCRYPTION_KEYS (without it transcripts and recordings are stored in plain text)
+  if (!process.env.ENCRYPTION_KEYS) {
+    warnings.push('ENCRYPTION_KEYS is not set. Transcripts, reframes and recordings will be stored unencrypted.');
+  }
+
   // Fail if required vars are missing
   if (missing.length > 0) {
     console.error('❌ [EnvValidator] Missing required environment variables:');
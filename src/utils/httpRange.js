@@ -0,0 +1,109 @@
+// Helpers for conditional (RFC 7232) and range (RFC 7233) requests
+
+// Strong validator for files that are written once and never modified
+export const buildEtag = (stats) => {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+};
+
+const etagMatches = (header, etag) => {
+  if (header.trim() === '*') {
+    return true;
+  }
+  // Weak comparison: ignore W/ prefixes
+  const normalize = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => normalize(tag) === normalize(etag));
+};
+
+// HTTP dates have second precision
+const notModifiedSince = (header, lastModified) => {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
+
+// True when the client's cached copy is still valid (respond 304)
+export const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return etagMatches(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince) {
+    return notModifiedSince(ifModifiedSince, lastModified);
+  }
+
+  return false;
+};
+
+// If-Range: only honour the Range header when the client's copy is current
+const rangeIsCurrent = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+    // If-Range requires a strong comparison
+    return !ifRange.trim().startsWith('W/') && ifRange.trim() === etag;
+  }
+  return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+};
+
+// Work out which part of a `size`-byte file was requested. Returns one of:
+//   { type: 'full' }                  no usable Range header, send everything
+//   { type: 'partial', start, end }   a single satisfiable range (inclusive)
+//   { type: 'multiple' }              more than one range; we don't serve multipart
+//   { type: 'unsatisfiable' }         range lies outside the file
+export const resolveRange = (req, size, validators) => {
+  const header = req.headers.range;
+  if (!header || !rangeIsCurrent(req, validators)) {
+    return { type: 'full' };
+  }
+
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) {
+    // Unknown units or malformed header: ignore it
+    return { type: 'full' };
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (specs.length > 1) {
+    return { type: 'multiple' };
+  }
+
+  const [startText, endText] = specs[0].split('-');
+  if (specs[0].indexOf('-') === -1 || (startText === '' && endText === '')) {
+    return { type: 'full' };
+  }
+
+  let start;
+  let end;
+  if (startText === '') {
+    // Suffix range: the last N bytes
+    if (!/^\d+$/.test(endText)) {
+      return { type: 'full' };
+    }
+    const suffixLength = parseInt(endText, 10);
+    if (suffixLength === 0 || size === 0) {
+      return { type: 'unsatisfiable' };
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    if (!/^\d+$/.test(startText) || (endText !== '' && !/^\d+$/.test(endText))) {
+      return { type: 'full' };
+    }
+    start = parseInt(startText, 10);
+    const lastPos = endText === '' ? Infinity : parseInt(endText, 10);
+    // A last-pos before the first-pos makes the header invalid, so it is
+    // ignored; a first-pos past the end can't be satisfied
+    if (lastPos < start) {
+      return { type: 'full' };
+    }
+    if (start >= size) {
+      return { type: 'unsatisfiable' };
+    }
+    end = Math.min(lastPos, size - 1);
+  }
+
+  return { type: 'partial', start, end };
+};
@@ -0,0 +1,23 @@
+// Run async work one at a time per key, within this process. Work for
+// different keys still runs concurrently.
+export const createKeyedLock = () => {
+  const tails = new Map();
+
+  return async (key, fn) => {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    }
+  };
+};
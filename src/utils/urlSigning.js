@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// HMAC-signed, expiring links for downloads that can't carry an
+// Authorization header (e.g. a link opened in a browser or media player)
+
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+const getSigningSecret = () => {
+  return process.env.URL_SIGNING_SECRET || process.env.JWT_SECRET;
+};
+
+const computeSignature = (pathname, expires) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${pathname}\n${expires}`)
+    .digest('base64url');
+};
+
+// Returns `pathname?expires=...&signature=...`, valid until `expiresAt`
+export const signPath = (pathname, expiresAt) => {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const signature = computeSignature(pathname, expires);
+  return `${pathname}?expires=${expires}&signature=${signature}`;
+};
+
+export const verifySignedPath = (pathname, expires, signature) => {
+  if (!expires || !signature || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expiresSeconds = parseInt(expires, 10);
+  if (!Number.isFinite(expiresSeconds) || expiresSeconds * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(pathname, expiresSeconds));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Sign a stored media path such as `/uploads/reframed_<id>_<ts>.mp3` for a
+// client response. Long enough to play the file, short enough that a leaked
+// link stops working. The expiry is rounded up to the end of the next TTL
+// window, so every response within a window carries the same URL and
+// clients that cache by URL don't download the audio again, while each
+// link still has at least one TTL left.
+export const signMediaUrl = (mediaPath) => {
+  if (!mediaPath) {
+    return mediaPath;
+  }
+  const expiresAt = Math.ceil(Date.now() / MEDIA_URL_TTL) * MEDIA_URL_TTL + MEDIA_URL_TTL;
+  return signPath(mediaPath, expiresAt);
+};